@@ -0,0 +1,46 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import User from './models/User.js';
+
+dotenv.config();
+
+// Usage: node create-admin.js "<name>" <email> <password> [phone]
+// Creates the first admin account so that operators can be registered through the API.
+async function createAdmin() {
+  const [name, email, password, phone] = process.argv.slice(2);
+
+  if (!name || !email || !password) {
+    console.error('Usage: node create-admin.js "<name>" <email> <password> [phone]');
+    process.exit(1);
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    console.log('Connected to MongoDB');
+
+    const existingUser = await User.findOne({ email: email.toLowerCase() });
+    if (existingUser) {
+      console.error(`A user with email ${email} already exists`);
+      process.exit(1);
+    }
+
+    const admin = await User.create({
+      name,
+      email,
+      phone: phone || undefined,
+      password,
+      role: 'admin'
+    });
+    console.log('Admin user created:', admin.email);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('Error creating admin user:', error);
+    process.exit(1);
+  }
+}
+
+createAdmin();
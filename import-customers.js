@@ -0,0 +1,73 @@
+import fs from 'fs/promises';
+import path from 'path';
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import User from './models/User.js';
+import { parseImportFile, runCustomerImport, getChecksum } from './utils/customerImport.js';
+
+dotenv.config();
+
+// Usage: node import-customers.js <file.csv|file.xlsx> --user=<admin email>
+//          [--dry-run] [--on-existing=skip|update] [--mapping='{"Mobile No":"phone"}']
+// Running the same file again resumes an import that was interrupted.
+const getOption = (name) => {
+  const arg = process.argv.find(value => value.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : undefined;
+};
+
+async function importCustomers() {
+  const filePath = process.argv.slice(2).find(value => !value.startsWith('--'));
+  const userEmail = getOption('user');
+
+  if (!filePath || !userEmail) {
+    console.error('Usage: node import-customers.js <file.csv|file.xlsx> --user=<admin email> ' +
+      '[--dry-run] [--on-existing=skip|update] [--mapping=<json>]');
+    process.exit(1);
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    console.log('Connected to MongoDB');
+
+    const user = await User.findOne({ email: userEmail.toLowerCase() });
+    if (!user) {
+      console.error(`No user found with email ${userEmail}`);
+      process.exit(1);
+    }
+
+    const buffer = await fs.readFile(filePath);
+    const rows = await parseImportFile(buffer, filePath);
+    const mapping = getOption('mapping');
+
+    const report = await runCustomerImport({
+      rows,
+      fileName: path.basename(filePath),
+      checksum: getChecksum(buffer),
+      options: {
+        dryRun: process.argv.includes('--dry-run'),
+        onExisting: getOption('on-existing') || 'skip',
+        mapping: mapping ? JSON.parse(mapping) : {}
+      },
+      user
+    });
+
+    console.log(`${report.dryRun ? '[dry run] ' : ''}Rows: ${report.totalRows}, created: ${report.created}, ` +
+      `updated: ${report.updated}, skipped: ${report.skipped}, failed: ${report.failed}`);
+    if (report.unmappedColumns.length > 0) {
+      console.log('Ignored columns:', report.unmappedColumns.join(', '));
+    }
+    report.rowErrors.forEach(({ row, errors }) => {
+      console.log(`Row ${row}: ${errors.map(error => `${error.param}: ${error.msg}`).join('; ')}`);
+    });
+
+    process.exit(0);
+  } catch (error) {
+    console.error('Error importing customers:', error);
+    process.exit(1);
+  }
+}
+
+importCustomers();
@@ -0,0 +1,31 @@
+import { purgeExpiredTrash, getRetentionDays } from '../utils/trash.js';
+
+const DEFAULT_INTERVAL_HOURS = 6;
+
+const runPurge = async () => {
+  try {
+    const purged = await purgeExpiredTrash();
+    const total = purged.customers + purged.subcategories + purged.categories;
+    if (total > 0) {
+      console.log(`Trash purge removed records older than ${getRetentionDays()} days:`, purged);
+    }
+    if (purged.skipped.length > 0) {
+      console.log('Trash purge skipped records it could not remove yet:', purged.skipped);
+    }
+  } catch (error) {
+    console.error('Error purging trash:', error);
+  }
+};
+
+// Periodically purge records that have outlived the trash retention period
+export const startTrashPurgeJob = () => {
+  const intervalHours = parseFloat(process.env.TRASH_PURGE_INTERVAL_HOURS) || DEFAULT_INTERVAL_HOURS;
+
+  runPurge();
+  const timer = setInterval(runPurge, intervalHours * 60 * 60 * 1000);
+  timer.unref();
+
+  return timer;
+};
+
+export default startTrashPurgeJob;
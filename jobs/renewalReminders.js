@@ -0,0 +1,28 @@
+import { queueRenewalReminders, dispatchQueuedNotifications } from '../utils/renewals.js';
+
+const DEFAULT_INTERVAL_HOURS = 1;
+
+const runReminders = async () => {
+  try {
+    const { queued } = await queueRenewalReminders();
+    const { sent } = await dispatchQueuedNotifications();
+    if (queued > 0 || sent > 0) {
+      console.log(`Renewal reminders: ${queued} queued, ${sent} sent`);
+    }
+  } catch (error) {
+    console.error('Error processing renewal reminders:', error);
+  }
+};
+
+// Periodically queue reminders for upcoming renewals and send what is in the outbox
+export const startRenewalReminderJob = () => {
+  const intervalHours = parseFloat(process.env.RENEWAL_REMINDER_INTERVAL_HOURS) || DEFAULT_INTERVAL_HOURS;
+
+  runReminders();
+  const timer = setInterval(runReminders, intervalHours * 60 * 60 * 1000);
+  timer.unref();
+
+  return timer;
+};
+
+export default startRenewalReminderJob;
@@ -0,0 +1,66 @@
+import jwt from 'jsonwebtoken';
+import User from '../models/User.js';
+import Session from '../models/Session.js';
+
+// Pull the bearer token from the Authorization header (or the legacy x-auth-token header)
+const getTokenFromRequest = (req) => {
+  const authHeader = req.headers.authorization;
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    return authHeader.split(' ')[1];
+  }
+  return req.headers['x-auth-token'] || null;
+};
+
+// Protect routes - requires a valid JWT and attaches the user to req.user
+export const protect = async (req, res, next) => {
+  const token = getTokenFromRequest(req);
+
+  if (!token) {
+    return res.status(401).json({ error: 'Not authorized, no token provided' });
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET || 'your_jwt_secret');
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      return res.status(401).json({ error: 'Not authorized, token expired' });
+    }
+    return res.status(401).json({ error: 'Not authorized, invalid token' });
+  }
+
+  try {
+    const user = await User.findById(decoded.userId);
+    if (!user) {
+      return res.status(401).json({ error: 'Not authorized, user no longer exists' });
+    }
+
+    // The session behind the token must still be active (not logged out or revoked)
+    const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+    if (!session || !session.isActive() || !session.user.equals(user._id)) {
+      return res.status(401).json({ error: 'Not authorized, session has been revoked' });
+    }
+
+    req.user = user;
+    req.sessionId = session._id;
+    next();
+  } catch (error) {
+    console.error('Error authenticating request:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// Grant access to specific roles - must be used after protect
+export const authorize = (...roles) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Not authorized' });
+  }
+
+  if (!roles.includes(req.user.role)) {
+    return res.status(403).json({
+      error: `User role '${req.user.role}' is not authorized to access this route`
+    });
+  }
+
+  next();
+};
@@ -0,0 +1,25 @@
+import mongoose from 'mongoose';
+import Customer from '../models/Customer.js';
+
+// Load the customer named by the :id route parameter into req.customer
+// (used by routers nested under /api/customers/:id)
+export const loadCustomer = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid customer ID format' });
+    }
+
+    const customer = await Customer.findById(req.params.id);
+    if (!customer) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+
+    req.customer = customer;
+    next();
+  } catch (error) {
+    console.error('Error loading customer:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+export default loadCustomer;
@@ -0,0 +1,59 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Customer from '../models/Customer.js';
+import ServiceOrder from '../models/ServiceOrder.js';
+import { buildOrderFromCustomer } from '../utils/serviceOrders.js';
+
+dotenv.config();
+
+// Creates one ServiceOrder for every customer that has no orders yet, copied from the
+// single service embedded in the customer record. Safe to run more than once.
+// Usage: node migrations/001-service-orders.js [--dry-run]
+async function migrateServiceOrders() {
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    console.log('Connected to MongoDB');
+
+    let created = 0;
+    let skipped = 0;
+
+    const cursor = Customer.find({ serviceCategory: { $ne: null } })
+      .setOptions({ withDeleted: true })
+      .cursor();
+
+    for await (const customer of cursor) {
+      const existing = await ServiceOrder.countDocuments({ customer: customer._id })
+        .setOptions({ withDeleted: true });
+      if (existing > 0) {
+        skipped++;
+        continue;
+      }
+
+      if (!dryRun) {
+        await ServiceOrder.create({
+          ...buildOrderFromCustomer(customer),
+          primary: true,
+          migratedFromCustomer: true,
+          createdAt: customer.createdAt,
+          // Orders of customers in the trash go to the trash with them
+          deletedAt: customer.deletedAt || null,
+          deletedBy: customer.deletedBy || null
+        });
+      }
+      created++;
+    }
+
+    console.log(`${dryRun ? '[dry run] ' : ''}Orders created: ${created}, customers skipped: ${skipped}`);
+    process.exit(0);
+  } catch (error) {
+    console.error('Error migrating service orders:', error);
+    process.exit(1);
+  }
+}
+
+migrateServiceOrders();
@@ -0,0 +1,60 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Customer from '../models/Customer.js';
+import { normalizeStateName } from '../utils/indianStates.js';
+
+dotenv.config();
+
+// Rewrites customer states to their canonical names (e.g. "TN" -> "Tamil Nadu") and
+// upper-cases GSTINs, then lists the records that still fail the state, PIN code or
+// GSTIN rules so they can be corrected by hand. Safe to run more than once.
+// Usage: node migrations/002-normalize-addresses.js [--dry-run]
+async function normalizeAddresses() {
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    console.log('Connected to MongoDB');
+
+    let updated = 0;
+    const invalid = [];
+
+    const cursor = Customer.find().setOptions({ withDeleted: true }).lean().cursor();
+
+    for await (const customer of cursor) {
+      const changes = {};
+      const state = customer.state ? normalizeStateName(customer.state) : null;
+      if (state && state !== customer.state) changes.state = state;
+      if (customer.gstNumber && customer.gstNumber !== customer.gstNumber.trim().toUpperCase()) {
+        changes.gstNumber = customer.gstNumber.trim().toUpperCase();
+      }
+
+      if (Object.keys(changes).length > 0) {
+        // Written directly: the remaining fields may not pass validation yet
+        if (!dryRun) await Customer.collection.updateOne({ _id: customer._id }, { $set: changes });
+        updated++;
+      }
+
+      try {
+        await new Customer({ ...customer, ...changes }).validate(['state', 'zipCode', 'gstNumber']);
+      } catch (error) {
+        if (error.name !== 'ValidationError') throw error;
+        invalid.push({ customer, messages: Object.values(error.errors).map(item => item.message) });
+      }
+    }
+
+    console.log(`${dryRun ? '[dry run] ' : ''}Customers updated: ${updated}, still invalid: ${invalid.length}`);
+    invalid.forEach(({ customer, messages }) => {
+      console.log(`${customer._id} ${customer.name}: ${messages.join('; ')}`);
+    });
+    process.exit(0);
+  } catch (error) {
+    console.error('Error normalizing customer addresses:', error);
+    process.exit(1);
+  }
+}
+
+normalizeAddresses();
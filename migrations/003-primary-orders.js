@@ -0,0 +1,64 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Customer from '../models/Customer.js';
+import ServiceOrder from '../models/ServiceOrder.js';
+import { pickMirroredFields } from '../utils/serviceMirror.js';
+
+dotenv.config();
+
+// Marks the order each customer was created with as its primary order and copies the
+// customer's service onto it, so the two start out equal and are kept in sync from then on.
+// Customers without any order need migrations/001-service-orders.js first. Safe to run more
+// than once. Usage: node migrations/003-primary-orders.js [--dry-run]
+async function migratePrimaryOrders() {
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    console.log('Connected to MongoDB');
+
+    let marked = 0;
+    let skipped = 0;
+    let withoutOrders = 0;
+
+    const cursor = Customer.find().setOptions({ withDeleted: true }).cursor();
+
+    for await (const customer of cursor) {
+      const primary = await ServiceOrder.countDocuments({ customer: customer._id, primary: true })
+        .setOptions({ withDeleted: true });
+      if (primary > 0) {
+        skipped++;
+        continue;
+      }
+
+      // The order migrated from the customer record, or else the customer's oldest order
+      const order = await ServiceOrder.findOne({ customer: customer._id })
+        .setOptions({ withDeleted: true })
+        .sort({ migratedFromCustomer: -1, createdAt: 1, _id: 1 });
+      if (!order) {
+        withoutOrders++;
+        continue;
+      }
+
+      if (!dryRun) {
+        await ServiceOrder.updateOne(
+          { _id: order._id },
+          { $set: { ...pickMirroredFields(customer), primary: true } }
+        ).setOptions({ withDeleted: true });
+      }
+      marked++;
+    }
+
+    console.log(`${dryRun ? '[dry run] ' : ''}Primary orders marked: ${marked}, ` +
+      `customers skipped: ${skipped}, customers without orders: ${withoutOrders}`);
+    process.exit(0);
+  } catch (error) {
+    console.error('Error marking primary orders:', error);
+    process.exit(1);
+  }
+}
+
+migratePrimaryOrders();
@@ -0,0 +1,43 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Customer from '../models/Customer.js';
+
+dotenv.config();
+
+// Replaces the text index on customers with the one the Customer model defines. MongoDB
+// allows only one text index per collection and won't build a new one over an older
+// definition (other fields or weights), so search keeps using the old index until this runs.
+// Safe to run more than once. Usage: node migrations/004-rebuild-text-index.js [--dry-run]
+async function rebuildTextIndex() {
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+      // Building the model's indexes on connect would fail while the old text index exists
+      autoIndex: false
+    });
+    console.log('Connected to MongoDB');
+
+    const [fields, options] = Customer.schema.indexes()
+      .find(([indexFields]) => Object.values(indexFields).includes('text'));
+
+    const existing = (await Customer.collection.indexes()).filter(index => index.key._fts === 'text');
+    for (const index of existing) {
+      console.log(`${dryRun ? '[dry run] ' : ''}Dropping text index ${index.name}`);
+      if (!dryRun) await Customer.collection.dropIndex(index.name);
+    }
+
+    console.log(`${dryRun ? '[dry run] ' : ''}Building text index ${options.name}`);
+    if (!dryRun) await Customer.collection.createIndex(fields, options);
+
+    console.log(`${dryRun ? '[dry run] ' : ''}Text indexes dropped: ${existing.length}, built: ${options.name}`);
+    process.exit(0);
+  } catch (error) {
+    console.error('Error rebuilding the customer text index:', error);
+    process.exit(1);
+  }
+}
+
+rebuildTextIndex();
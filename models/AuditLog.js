@@ -0,0 +1,51 @@
+import mongoose from 'mongoose';
+
+// A single field change: which field went from what to what
+const changeSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: true
+  },
+  from: mongoose.Schema.Types.Mixed,
+  to: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+const auditLogSchema = new mongoose.Schema({
+  entityType: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // create, update, delete, ... (free text so new actions don't need a schema change)
+  action: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  changes: {
+    type: [changeSchema],
+    default: []
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  note: {
+    type: String,
+    trim: true,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+export default AuditLog;
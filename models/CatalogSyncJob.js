@@ -0,0 +1,75 @@
+import mongoose from 'mongoose';
+
+// Progress of copying a renamed (or moved) category or subcategory onto the customers and
+// service orders that store its name. The job always applies the catalog's current values,
+// so re-running an interrupted job is safe.
+const catalogSyncJobSchema = new mongoose.Schema({
+  entityType: {
+    type: String,
+    enum: ['Category', 'SubCategory'],
+    required: true
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    index: true
+  },
+  fromName: {
+    type: String,
+    default: null
+  },
+  toName: {
+    type: String,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed'],
+    default: 'running'
+  },
+  // Customers and orders that were out of date when the job started, and how many are done
+  customersTotal: {
+    type: Number,
+    default: 0
+  },
+  customersUpdated: {
+    type: Number,
+    default: 0
+  },
+  ordersTotal: {
+    type: Number,
+    default: 0
+  },
+  ordersUpdated: {
+    type: Number,
+    default: 0
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  startedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Share of the out-of-date records already updated, 0-100
+catalogSyncJobSchema.virtual('progress').get(function() {
+  if (this.status === 'completed') return 100;
+  const total = this.customersTotal + this.ordersTotal;
+  if (total === 0) return 0;
+  return Math.min(100, Math.round(((this.customersUpdated + this.ordersUpdated) / total) * 100));
+});
+
+const CatalogSyncJob = mongoose.model('CatalogSyncJob', catalogSyncJobSchema);
+
+export default CatalogSyncJob;
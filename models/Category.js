@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import softDelete from './plugins/softDelete.js';
 
 const categorySchema = new mongoose.Schema({
   name: {
@@ -18,6 +19,9 @@ const categorySchema = new mongoose.Schema({
   }
 });
 
+// Deleted records go to the trash instead of being removed
+categorySchema.plugin(softDelete);
+
 const Category = mongoose.model('Category', categorySchema);
 
 export default Category;
@@ -0,0 +1,28 @@
+import mongoose from 'mongoose';
+
+// Named sequence counters (e.g. one invoice series per financial year)
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+});
+
+// Atomically take the next number of a sequence. Taken in a transaction, the number is
+// only used up if the transaction commits.
+counterSchema.statics.next = async function(key, session = null) {
+  const counter = await this.findOneAndUpdate(
+    { _id: key },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, session }
+  );
+  return counter.seq;
+};
+
+const Counter = mongoose.model('Counter', counterSchema);
+
+export default Counter;
@@ -1,4 +1,14 @@
 import mongoose from 'mongoose';
+import softDelete from './plugins/softDelete.js';
+import deliveryWorkflow from './plugins/deliveryWorkflow.js';
+import catalogOverrides from './plugins/catalogOverrides.js';
+import { normalizeStateName } from '../utils/indianStates.js';
+import { validateGstin, getGstinState } from '../utils/gst.js';
+
+// Records from before the address and GSTIN checks may hold values that fail them (the
+// 002 migration cleans them up). Only new or changed values are checked, so such a record
+// can still be saved when other fields change. Update validators run on the update itself.
+const isChanging = (doc, path) => typeof doc.isModified !== 'function' || doc.isNew || doc.isModified(path);
 
 // Schema options
 const schemaOptions = {
@@ -50,6 +60,7 @@ const customerSchema = new mongoose.Schema({
     trim: true,
     maxlength: [100, 'City cannot be more than 100 characters']
   },
+  // Stored as the canonical name from utils/indianStates.js (see the pre-validate hook)
   state: {
     type: String,
     trim: true,
@@ -58,7 +69,12 @@ const customerSchema = new mongoose.Schema({
   zipCode: {
     type: String,
     trim: true,
-    maxlength: [20, 'ZIP code cannot be more than 20 characters']
+    validate: {
+      validator: function(value) {
+        return !isChanging(this, 'zipCode') || !value || /^[1-9][0-9]{5}$/.test(value);
+      },
+      message: 'Please enter a valid 6-digit PIN code'
+    }
   },
   
   // Service Information
@@ -106,7 +122,13 @@ const customerSchema = new mongoose.Schema({
   gstNumber: {
     type: String,
     trim: true,
-    maxlength: [50, 'GST number cannot be more than 50 characters']
+    uppercase: true,
+    validate: {
+      validator: function(value) {
+        return !isChanging(this, 'gstNumber') || !value || !validateGstin(value);
+      },
+      message: props => validateGstin(props.value)
+    }
   },
   
   // Dates
@@ -129,6 +151,13 @@ const customerSchema = new mongoose.Schema({
     maxlength: [2000, 'Notes cannot be more than 2000 characters']
   },
   
+  // Set when this record was merged into another customer as a duplicate
+  mergedInto: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    default: null
+  },
+
   // System Fields
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
@@ -140,19 +169,85 @@ const customerSchema = new mongoose.Schema({
   }
 }, schemaOptions);
 
-// Add text index for search
+// Store states under their canonical name and make sure a GSTIN belongs to the customer's state
+customerSchema.pre('validate', function(next) {
+  if (this.state && isChanging(this, 'state')) {
+    const state = normalizeStateName(this.state);
+    if (state) {
+      this.state = state;
+    } else {
+      this.invalidate('state', 'State must be an Indian state or union territory', this.state);
+    }
+  }
+
+  const gstinChanging = isChanging(this, 'gstNumber') || isChanging(this, 'state');
+  if (gstinChanging && this.gstNumber && this.state && !validateGstin(this.gstNumber)) {
+    const gstinState = getGstinState(this.gstNumber);
+    if (gstinState.name !== this.state && normalizeStateName(this.state)) {
+      const message = `GSTIN is registered in ${gstinState.name}, but the customer's state is ${this.state}`;
+      this.invalidate('gstNumber', message, this.gstNumber);
+    }
+  }
+  next();
+});
+
+// Deleted records go to the trash instead of being removed
+customerSchema.plugin(softDelete);
+
+// Delivery status only moves through allowed transitions, each one recorded
+customerSchema.plugin(deliveryWorkflow);
+
+// Catalog defaults (fees, delivery date) that were overridden on creation
+customerSchema.plugin(catalogOverrides);
+
+// Text index for relevance-ranked search. MongoDB allows only one text index per
+// collection, so an older text index has to be dropped before this one can be built
+// (migrations/004-rebuild-text-index.js).
 customerSchema.index({
   name: 'text',
   email: 'text',
   phone: 'text',
   address: 'text',
-  service: 'text',
+  serviceCategoryName: 'text',
+  serviceSubCategoryName: 'text',
   serviceNumber: 'text',
   city: 'text',
   state: 'text',
   zipCode: 'text',
   gstNumber: 'text',
   notes: 'text'
+}, {
+  name: 'customer_text_search',
+  weights: {
+    name: 10,
+    phone: 8,
+    gstNumber: 8,
+    serviceNumber: 8,
+    email: 5,
+    serviceCategoryName: 3,
+    serviceSubCategoryName: 3,
+    address: 2,
+    city: 2,
+    state: 1,
+    zipCode: 1,
+    notes: 1
+  }
+});
+
+// Indexes backing the filters and default sort of the customer list
+customerSchema.index({ createdAt: -1 });
+customerSchema.index({ serviceCategory: 1, serviceSubCategory: 1 });
+customerSchema.index({ status: 1, deliveryStatus: 1 });
+customerSchema.index({ deliveryDate: 1 });
+customerSchema.index({ nextRenewalDate: 1 });
+// Duplicate checks and imports look customers up by phone
+customerSchema.index({ phone: 1 });
+
+// Service orders (applications) made by this customer
+customerSchema.virtual('orders', {
+  ref: 'ServiceOrder',
+  localField: '_id',
+  foreignField: 'customer'
 });
 
 // Add a pre-save hook to update the updatedAt field
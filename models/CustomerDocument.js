@@ -0,0 +1,62 @@
+import mongoose from 'mongoose';
+
+export const DOCUMENT_TYPES = ['ID Proof', 'Photo', 'Certificate', 'Acknowledgement', 'Other'];
+
+// A file attached to a customer. The bytes live in the storage backend under
+// `storageKey`; this record holds what is needed to find, check and serve them.
+const customerDocumentSchema = new mongoose.Schema({
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: [true, 'Customer is required'],
+    index: true
+  },
+  type: {
+    type: String,
+    enum: DOCUMENT_TYPES,
+    default: 'Other'
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot be more than 500 characters']
+  },
+  originalName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  // SHA-256 of the file contents, hex encoded
+  checksum: {
+    type: String,
+    required: true
+  },
+  storage: {
+    type: String,
+    required: true
+  },
+  storageKey: {
+    type: String,
+    required: true
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+customerDocumentSchema.index({ customer: 1, createdAt: -1 });
+
+const CustomerDocument = mongoose.model('CustomerDocument', customerDocumentSchema);
+
+export default CustomerDocument;
@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+
+// Progress of a customer import. A job is keyed by the checksum of the file, its options
+// and column mapping, so importing the same file again continues where an interrupted run stopped.
+const importJobSchema = new mongoose.Schema({
+  fileName: {
+    type: String,
+    trim: true
+  },
+  checksum: {
+    type: String,
+    required: true,
+    index: true
+  },
+  options: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed'],
+    default: 'running'
+  },
+  totalRows: {
+    type: Number,
+    default: 0
+  },
+  // Number of rows (from the top of the file) already handled
+  processedRows: {
+    type: Number,
+    default: 0
+  },
+  created: {
+    type: Number,
+    default: 0
+  },
+  updated: {
+    type: Number,
+    default: 0
+  },
+  skipped: {
+    type: Number,
+    default: 0
+  },
+  failed: {
+    type: Number,
+    default: 0
+  },
+  // { row, errors: [{ param, msg, value }] } for every row that could not be imported
+  rowErrors: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  startedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+const ImportJob = mongoose.model('ImportJob', importJobSchema);
+
+export default ImportJob;
@@ -0,0 +1,166 @@
+import mongoose from 'mongoose';
+
+const lineItemSchema = new mongoose.Schema({
+  description: {
+    type: String,
+    required: [true, 'Line item description is required'],
+    trim: true,
+    maxlength: [200, 'Description cannot be more than 200 characters']
+  },
+  sacCode: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0, 'Amount cannot be negative']
+  }
+}, { _id: false });
+
+// Billing details as they were when the invoice was issued
+const billToSchema = new mongoose.Schema({
+  name: String,
+  phone: String,
+  email: String,
+  address: String,
+  city: String,
+  state: String,
+  zipCode: String,
+  gstNumber: String
+}, { _id: false });
+
+// Tax invoices and the credit notes that cancel them
+const invoiceSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['invoice', 'credit_note'],
+    default: 'invoice'
+  },
+  number: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  financialYear: {
+    type: String,
+    required: true
+  },
+  sequence: {
+    type: Number,
+    required: true
+  },
+  issueDate: {
+    type: Date,
+    default: Date.now
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true,
+    index: true
+  },
+  // The service order billed; null for invoices raised before orders were tracked, which
+  // bill the customer's first (primary) service
+  serviceOrder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ServiceOrder',
+    default: null
+  },
+  billTo: billToSchema,
+  items: {
+    type: [lineItemSchema],
+    validate: {
+      validator: items => items.length > 0,
+      message: 'An invoice needs at least one line item'
+    }
+  },
+  placeOfSupply: {
+    type: String,
+    trim: true
+  },
+  supplyType: {
+    type: String,
+    enum: ['intra-state', 'inter-state'],
+    required: true
+  },
+  gstRate: {
+    type: Number,
+    required: true,
+    min: [0, 'GST rate cannot be negative'],
+    max: [100, 'GST rate cannot be more than 100']
+  },
+  taxableAmount: {
+    type: Number,
+    required: true
+  },
+  cgst: {
+    type: Number,
+    default: 0
+  },
+  sgst: {
+    type: Number,
+    default: 0
+  },
+  igst: {
+    type: Number,
+    default: 0
+  },
+  totalTax: {
+    type: Number,
+    required: true
+  },
+  total: {
+    type: Number,
+    required: true
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Notes cannot be more than 1000 characters']
+  },
+  status: {
+    type: String,
+    enum: ['issued', 'cancelled'],
+    default: 'issued'
+  },
+  cancelledAt: {
+    type: Date,
+    default: null
+  },
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  cancellationReason: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  // On an invoice: the credit note that cancelled it. On a credit note: the invoice it cancels.
+  creditNote: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice',
+    default: null
+  },
+  originalInvoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice',
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+invoiceSchema.index({ type: 1, financialYear: 1, sequence: 1 }, { unique: true });
+invoiceSchema.index({ issueDate: -1 });
+
+const Invoice = mongoose.model('Invoice', invoiceSchema);
+
+export default Invoice;
@@ -0,0 +1,67 @@
+import mongoose from 'mongoose';
+
+// Outbox of messages waiting to be sent to customers
+const notificationSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  channel: {
+    type: String,
+    enum: ['email', 'sms'],
+    required: true
+  },
+  recipient: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  subject: {
+    type: String,
+    trim: true
+  },
+  message: {
+    type: String,
+    required: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    index: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'sent', 'failed'],
+    default: 'queued',
+    index: true
+  },
+  // Identifies the event this message is about so the same reminder is never queued twice
+  dedupeKey: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  sentAt: {
+    type: Date,
+    default: null
+  },
+  meta: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: true
+});
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+export default Notification;
@@ -0,0 +1,74 @@
+import mongoose from 'mongoose';
+
+export const PAYMENT_MODES = ['Cash', 'UPI', 'Card', 'Bank Transfer', 'Cheque', 'Other'];
+
+// One money movement for a customer: a payment received or a refund given back
+const paymentSchema = new mongoose.Schema({
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: [true, 'Customer is required'],
+    index: true
+  },
+  invoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice',
+    default: null,
+    index: true
+  },
+  kind: {
+    type: String,
+    enum: ['payment', 'refund'],
+    default: 'payment'
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: [0.01, 'Amount must be greater than zero']
+  },
+  mode: {
+    type: String,
+    enum: PAYMENT_MODES,
+    required: [true, 'Payment mode is required']
+  },
+  reference: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Reference cannot be more than 100 characters']
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  receivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot be more than 500 characters']
+  },
+  // Entries are never deleted; a mistaken entry is voided and stays in the ledger
+  voidedAt: {
+    type: Date,
+    default: null
+  },
+  voidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  voidReason: {
+    type: String,
+    trim: true,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+const Payment = mongoose.model('Payment', paymentSchema);
+
+export default Payment;
@@ -0,0 +1,117 @@
+import mongoose from 'mongoose';
+import softDelete from './plugins/softDelete.js';
+import deliveryWorkflow from './plugins/deliveryWorkflow.js';
+import catalogOverrides from './plugins/catalogOverrides.js';
+
+// One service application made by a customer. A customer can have many orders,
+// each with its own service, fees, status and dates.
+const serviceOrderSchema = new mongoose.Schema({
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: [true, 'Customer is required'],
+    index: true
+  },
+
+  // Service Information
+  serviceCategory: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    required: [true, 'Service category is required']
+  },
+  serviceCategoryName: {
+    type: String,
+    required: [true, 'Service category name is required'],
+    trim: true
+  },
+  serviceSubCategory: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SubCategory',
+    default: null
+  },
+  serviceSubCategoryName: {
+    type: String,
+    default: null,
+    trim: true
+  },
+  serviceNumber: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Service number cannot be more than 50 characters']
+  },
+
+  // Financial Information
+  fees: {
+    type: Number,
+    min: [0, 'Fees cannot be negative'],
+    default: 0
+  },
+  gstStatus: {
+    type: String,
+    enum: ['Paid', 'Not Paid', 'Pay Later'],
+    default: 'Not Paid'
+  },
+
+  // Dates
+  deliveryDate: {
+    type: Date
+  },
+  nextRenewalDate: {
+    type: Date
+  },
+  deliveryStatus: {
+    type: String,
+    enum: ['Pending', 'In Progress', 'Completed', 'Rejected'],
+    default: 'Pending'
+  },
+
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Notes cannot be more than 2000 characters']
+  },
+
+  // The order the customer was created with. Its service is also stored on the customer
+  // record, and the two are kept in sync (see utils/serviceMirror.js).
+  primary: {
+    type: Boolean,
+    default: false
+  },
+
+  // Set on orders created from the single service embedded in older customer records
+  migratedFromCustomer: {
+    type: Boolean,
+    default: false
+  },
+
+  // System Fields
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Deleted orders go to the trash instead of being removed
+serviceOrderSchema.plugin(softDelete);
+
+// Delivery status only moves through allowed transitions, each one recorded
+serviceOrderSchema.plugin(deliveryWorkflow);
+
+// Catalog defaults (fees, delivery date) that were overridden on creation
+serviceOrderSchema.plugin(catalogOverrides);
+
+serviceOrderSchema.index({ customer: 1, createdAt: -1 });
+serviceOrderSchema.index({ serviceSubCategory: 1 });
+serviceOrderSchema.index({ nextRenewalDate: 1 });
+
+const ServiceOrder = mongoose.model('ServiceOrder', serviceOrderSchema);
+
+export default ServiceOrder;
@@ -0,0 +1,116 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+// A login session for one user on one device, holding the current refresh token hash
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Hash of the refresh token that was rotated out, used to detect token reuse
+  previousTokenHash: {
+    type: String,
+    index: true
+  },
+  device: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Device cannot be more than 200 characters']
+  },
+  ip: {
+    type: String,
+    trim: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Let MongoDB clean up sessions once their refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Hash a raw refresh token the same way it is stored in the database
+sessionSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+const generateRefreshToken = () => crypto.randomBytes(40).toString('hex');
+
+const getRefreshExpiry = () => new Date(Date.now() +
+  (parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS, 10) || 7) * 24 * 60 * 60 * 1000);
+
+// Start a new session for a user and return it with the raw refresh token
+sessionSchema.statics.issue = async function(user, { device, ip } = {}) {
+  const refreshToken = generateRefreshToken();
+
+  const session = await this.create({
+    user: user._id,
+    tokenHash: this.hashToken(refreshToken),
+    device: device ? String(device).substr(0, 200) : undefined,
+    ip,
+    expiresAt: getRefreshExpiry()
+  });
+
+  return { session, refreshToken };
+};
+
+// Replace the refresh token of the active session holding tokenHash, in one conditional
+// update so two requests with the same token can't both rotate it. Returns the updated
+// session and the new raw token, or null when no active session holds that token.
+sessionSchema.statics.rotate = async function(tokenHash) {
+  const refreshToken = generateRefreshToken();
+
+  const session = await this.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+    {
+      $set: {
+        previousTokenHash: tokenHash,
+        tokenHash: this.hashToken(refreshToken),
+        expiresAt: getRefreshExpiry(),
+        lastUsedAt: new Date()
+      }
+    },
+    { new: true }
+  );
+
+  return session ? { session, refreshToken } : null;
+};
+
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Revoke every active session of a user
+sessionSchema.statics.revokeAllForUser = async function(userId, reason) {
+  const result = await this.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason || 'Revoked' } }
+  );
+  return result.modifiedCount;
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+export default Session;
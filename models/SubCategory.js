@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import softDelete from './plugins/softDelete.js';
 
 const subCategorySchema = new mongoose.Schema({
   name: {
@@ -16,6 +17,38 @@ const subCategorySchema = new mongoose.Schema({
     default: '',
     trim: true
   },
+
+  // Service catalog: defaults used when a customer or order is created for this service
+  defaultGovernmentFee: {
+    type: Number,
+    min: [0, 'Government fee cannot be negative'],
+    default: null
+  },
+  defaultServiceCharge: {
+    type: Number,
+    min: [0, 'Service charge cannot be negative'],
+    default: null
+  },
+  gstApplicable: {
+    type: Boolean,
+    default: true
+  },
+  // Standard number of days from application to delivery
+  turnaroundDays: {
+    type: Number,
+    min: [0, 'Turnaround days cannot be negative'],
+    default: null
+  },
+  requiredDocuments: [{
+    type: String,
+    trim: true
+  }],
+  // Set when deleting the category merged this subcategory into a same-named one elsewhere
+  mergedInto: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SubCategory',
+    default: null
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -26,23 +59,53 @@ const subCategorySchema = new mongoose.Schema({
   toObject: { virtuals: true }
 });
 
+// Deleted records go to the trash instead of being removed
+subCategorySchema.plugin(softDelete);
+
 // Add a compound index to ensure subcategory names are unique within a category
 subCategorySchema.index({ name: 1, category: 1 }, { unique: true });
 
+// Government fee plus service charge, or null when the catalog has no fees for this service
+subCategorySchema.virtual('defaultFees').get(function() {
+  if (this.defaultGovernmentFee == null && this.defaultServiceCharge == null) return null;
+  return (this.defaultGovernmentFee || 0) + (this.defaultServiceCharge || 0);
+});
+
 // Virtual for populating customers
 subCategorySchema.virtual('customers', {
   ref: 'Customer',
   localField: '_id',
-  foreignField: 'services.subCategory'
+  foreignField: 'serviceSubCategory'
 });
 
-// Add a pre-remove hook to check for referenced customers
-subCategorySchema.pre('remove', async function(next) {
-  const customerCount = await this.model('Customer').countDocuments({ 'services.subCategory': this._id });
-  if (customerCount > 0) {
+// Virtual for populating service orders
+subCategorySchema.virtual('orders', {
+  ref: 'ServiceOrder',
+  localField: '_id',
+  foreignField: 'serviceSubCategory'
+});
+
+// Refuse to hard-delete subcategories that active customers or orders still use. Deletes
+// from the API go to the trash and check usage first; this guards every other path.
+const rejectIfInUse = async (subCategoryIds) => {
+  const filter = { serviceSubCategory: { $in: subCategoryIds } };
+  const [customers, orders] = await Promise.all([
+    mongoose.model('Customer').countDocuments(filter),
+    mongoose.model('ServiceOrder').countDocuments(filter)
+  ]);
+  if (customers > 0 || orders > 0) {
     throw new Error('Cannot delete subcategory as it is being used by one or more customers');
   }
-  next();
+};
+
+subCategorySchema.pre('deleteOne', { document: true, query: false }, async function() {
+  await rejectIfInUse([this._id]);
+});
+
+const deleteQueries = ['deleteOne', 'deleteMany', 'findOneAndDelete'];
+subCategorySchema.pre(deleteQueries, { document: false, query: true }, async function() {
+  const ids = await this.model.find(this.getFilter()).setOptions({ withDeleted: true }).distinct('_id');
+  if (ids.length > 0) await rejectIfInUse(ids);
 });
 
 const SubCategory = mongoose.model('SubCategory', subCategorySchema);
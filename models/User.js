@@ -1,6 +1,7 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -13,11 +14,20 @@ const userSchema = new mongoose.Schema({
     type: String,
     required: [true, 'Please add an email'],
     unique: true,
+    trim: true,
+    lowercase: true,
     match: [
       /^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/,
       'Please add a valid email'
     ]
   },
+  phone: {
+    type: String,
+    trim: true,
+    unique: true,
+    sparse: true,
+    match: [/^[0-9]{10}$/, 'Please add a valid 10-digit phone number']
+  },
   password: {
     type: String,
     required: [true, 'Please add a password'],
@@ -40,18 +50,18 @@ const userSchema = new mongoose.Schema({
 // Encrypt password using bcrypt
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) {
-    next();
+    return next();
   }
   const salt = await bcrypt.genSalt(10);
   this.password = await bcrypt.hash(this.password, salt);
 });
 
-// Sign JWT and return
-userSchema.methods.getSignedJwtToken = function() {
+// Sign a short-lived access token bound to a login session and return it
+userSchema.methods.getSignedJwtToken = function(sessionId) {
   return jwt.sign(
-    { userId: this._id },
+    { userId: this._id, sid: sessionId },
     process.env.JWT_SECRET || 'your_jwt_secret',
-    { expiresIn: process.env.JWT_EXPIRE || '30d' }
+    { expiresIn: process.env.JWT_EXPIRE || '15m' }
   );
 };
 
@@ -60,4 +70,20 @@ userSchema.methods.matchPassword = async function(enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
+// Hash a raw reset token the same way it is stored in the database
+userSchema.statics.hashResetToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Generate a password reset token, store its hash and return the raw token
+userSchema.methods.getResetPasswordToken = function() {
+  const resetToken = crypto.randomBytes(20).toString('hex');
+
+  this.resetPasswordToken = this.constructor.hashResetToken(resetToken);
+  this.resetPasswordExpire = Date.now() +
+    (parseInt(process.env.RESET_PASSWORD_EXPIRE_MINUTES, 10) || 10) * 60 * 1000;
+
+  return resetToken;
+};
+
 export default mongoose.model('User', userSchema);
@@ -0,0 +1,21 @@
+import mongoose from 'mongoose';
+
+const overrideSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: true
+  },
+  defaultValue: mongoose.Schema.Types.Mixed,
+  value: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+// Mongoose plugin that keeps the service catalog defaults staff replaced with their
+// own values when the record was created (see utils/serviceCatalog.js).
+export default function catalogOverrides(schema) {
+  schema.add({
+    catalogOverrides: {
+      type: [overrideSchema],
+      default: []
+    }
+  });
+}
@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+import { checkTransition } from '../../utils/deliveryWorkflow.js';
+
+const transitionSchema = new mongoose.Schema({
+  from: {
+    type: String,
+    default: null
+  },
+  to: {
+    type: String,
+    required: true
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  },
+  by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reason: {
+    type: String,
+    trim: true,
+    default: null
+  }
+}, { _id: false });
+
+// Mongoose plugin that records every deliveryStatus change with when and who,
+// and only changes the status through transitionDelivery().
+const deliveryWorkflow = (schema) => {
+  schema.add({
+    deliveryHistory: {
+      type: [transitionSchema],
+      default: []
+    }
+  });
+
+  // New documents start their history with the status they were created in
+  schema.pre('save', function(next) {
+    if (this.isNew && this.deliveryHistory.length === 0) {
+      this.deliveryHistory.push({
+        from: null,
+        to: this.deliveryStatus,
+        at: this.createdAt || new Date(),
+        by: this.createdBy || null
+      });
+    }
+    next();
+  });
+
+  // Move to a new delivery status. Returns null on success (the caller saves the document),
+  // otherwise { statusCode, error } describing why the move is not allowed.
+  schema.methods.transitionDelivery = function(to, { user, reason } = {}) {
+    const problem = checkTransition(this.deliveryStatus, to, { user, reason });
+    if (problem) return problem;
+
+    this.deliveryHistory.push({
+      from: this.deliveryStatus,
+      to,
+      at: new Date(),
+      by: user ? user._id : null,
+      reason: reason ? String(reason).trim() : null
+    });
+    this.deliveryStatus = to;
+    if (user) this.updatedBy = user._id;
+
+    return null;
+  };
+};
+
+export default deliveryWorkflow;
@@ -0,0 +1,83 @@
+import mongoose from 'mongoose';
+
+const QUERY_OPERATIONS = [
+  'find',
+  'findOne',
+  'findOneAndUpdate',
+  'countDocuments',
+  'distinct',
+  'updateOne',
+  'updateMany'
+];
+
+// Mongoose plugin that marks documents as deleted instead of removing them.
+// Queries skip deleted documents unless the filter mentions `deletedAt` itself
+// or the query is run with the `withDeleted` option.
+const softDelete = (schema) => {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null,
+      index: true
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    }
+  });
+
+  QUERY_OPERATIONS.forEach(operation => {
+    schema.pre(operation, function() {
+      if (this.getOptions().withDeleted) return;
+      if (this.getFilter().deletedAt !== undefined) return;
+      this.where({ deletedAt: null });
+    });
+  });
+
+  schema.pre('aggregate', function() {
+    if (this.options.withDeleted) return;
+
+    const pipeline = this.pipeline();
+    const firstStage = pipeline[0];
+
+    // $text and $geoNear must stay first, so merge into an existing leading $match
+    if (firstStage && firstStage.$match) {
+      if (firstStage.$match.deletedAt === undefined) {
+        firstStage.$match.deletedAt = null;
+      }
+      return;
+    }
+    if (firstStage && firstStage.$geoNear) return;
+
+    pipeline.unshift({ $match: { deletedAt: null } });
+  });
+
+  schema.methods.softDelete = function(user) {
+    this.deletedAt = new Date();
+    this.deletedBy = user ? user._id : null;
+    return this.save({ validateBeforeSave: false });
+  };
+
+  schema.methods.restore = function() {
+    this.deletedAt = null;
+    this.deletedBy = null;
+    return this.save({ validateBeforeSave: false });
+  };
+
+  schema.methods.isDeleted = function() {
+    return !!this.deletedAt;
+  };
+
+  // Find documents that are in the trash
+  schema.statics.findDeleted = function(filter = {}) {
+    return this.find({ ...filter, deletedAt: { $ne: null } });
+  };
+
+  // Find one document in the trash by ID
+  schema.statics.findDeletedById = function(id) {
+    return this.findOne({ _id: id, deletedAt: { $ne: null } });
+  };
+};
+
+export default softDelete;
@@ -0,0 +1,98 @@
+import express from 'express';
+import {
+  REVENUE_GROUPS,
+  buildAnalyticsMatch,
+  getRevenue,
+  getStatusCounts,
+  getGstSummary,
+  getNewCustomersPerDay,
+  getTopServices
+} from '../utils/analytics.js';
+import { roundMoney } from '../utils/gst.js';
+
+// Dashboard reports. Every endpoint accepts from/to (YYYY-MM-DD or ISO) and the customer
+// list filters. Revenue, GST and top services cover every service order of a customer and
+// from/to bound the order's creation date; the other reports bound the customer's.
+const router = express.Router();
+
+const MAX_TOP_SERVICES = 50;
+
+// Validate the query and run the report, or respond with 400
+const report = (load) => async (req, res) => {
+  try {
+    const { match, orderMatch, errors } = buildAnalyticsMatch(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid query parameters', errors });
+    }
+
+    const data = await load({ match, orderMatch }, req, res);
+    if (!res.headersSent) res.json(data);
+  } catch (error) {
+    console.error('Error building report:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+const parseTopLimit = (req, res) => {
+  const limit = req.query.limit === undefined ? 10 : parseInt(req.query.limit, 10);
+  if (isNaN(limit) || limit < 1) {
+    res.status(400).json({
+      error: 'Invalid query parameters',
+      errors: [{ param: 'limit', msg: 'limit must be a positive integer', value: req.query.limit }]
+    });
+    return null;
+  }
+  return Math.min(limit, MAX_TOP_SERVICES);
+};
+
+// Everything the dashboard shows, in one request
+router.get('/summary', report(async ({ match, orderMatch }) => {
+  const [revenueByCategory, revenueByMonth, counts, gst, newCustomers, topServices] = await Promise.all([
+    getRevenue(orderMatch, 'category'),
+    getRevenue(orderMatch, 'month'),
+    getStatusCounts(match),
+    getGstSummary(orderMatch),
+    getNewCustomersPerDay(match),
+    getTopServices(orderMatch, 5)
+  ]);
+
+  return {
+    totalRevenue: roundMoney(revenueByCategory.reduce((sum, row) => sum + row.revenue, 0)),
+    revenueByCategory,
+    revenueByMonth,
+    counts,
+    gst,
+    newCustomers,
+    topServices
+  };
+}));
+
+// Revenue (sum of service order fees), e.g. GET /api/analytics/revenue?groupBy=month&from=2024-04-01
+router.get('/revenue', report(async ({ orderMatch }, req, res) => {
+  const groupBy = req.query.groupBy || 'category';
+  if (!REVENUE_GROUPS.includes(groupBy)) {
+    return res.status(400).json({
+      error: 'Invalid query parameters',
+      errors: [{ param: 'groupBy', msg: `groupBy must be one of: ${REVENUE_GROUPS.join(', ')}`, value: groupBy }]
+    });
+  }
+  return { groupBy, data: await getRevenue(orderMatch, groupBy) };
+}));
+
+// Customer counts by status and delivery status
+router.get('/status-counts', report(({ match }) => getStatusCounts(match)));
+
+// GST paid vs unpaid
+router.get('/gst', report(({ orderMatch }) => getGstSummary(orderMatch)));
+
+// New customers per day
+router.get('/new-customers', report(async ({ match }) => ({ data: await getNewCustomersPerDay(match) })));
+
+// Top services by number of customers
+router.get('/top-services', report(async ({ orderMatch }, req, res) => {
+  const limit = parseTopLimit(req, res);
+  if (limit === null) return;
+  return { data: await getTopServices(orderMatch, limit) };
+}));
+
+export default router;
@@ -1,15 +1,50 @@
 import express from 'express';
-import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
 import User from '../models/User.js';
+import Session from '../models/Session.js';
 import { body, validationResult } from 'express-validator';
+import { protect, authorize } from '../middleware/auth.js';
+import { sendEmail } from '../utils/mailer.js';
 
 const router = express.Router();
 
-// Login route
-router.post('/login', 
+// Shape of the user returned to the client (never includes the password hash)
+const toUserResponse = (user) => ({
+  id: user._id,
+  name: user.name,
+  email: user.email,
+  phone: user.phone || null,
+  role: user.role,
+  createdAt: user.createdAt
+});
+
+// Start a session for this device and send the access + refresh token pair
+const sendTokenResponse = async (user, req, res, statusCode = 200) => {
+  const { session, refreshToken } = await Session.issue(user, {
+    device: req.body.deviceName || req.get('user-agent'),
+    ip: req.ip
+  });
+
+  res.status(statusCode).json({
+    token: user.getSignedJwtToken(session._id),
+    refreshToken,
+    user: toUserResponse(user)
+  });
+};
+
+// Login route - accepts either email or phone along with the password
+router.post('/login',
   [
-    body('username').notEmpty().withMessage('Username is required'),
-    body('password').notEmpty().withMessage('Password is required')
+    body('email').optional({ checkFalsy: true }).trim().isEmail().withMessage('Please enter a valid email'),
+    body('phone').optional({ checkFalsy: true }).trim()
+      .matches(/^[0-9]{10}$/).withMessage('Please enter a valid 10-digit phone number'),
+    body('password').notEmpty().withMessage('Password is required'),
+    body().custom((value) => {
+      if (!value.email && !value.phone) {
+        throw new Error('Email or phone is required');
+      }
+      return true;
+    })
   ],
   async (req, res) => {
     try {
@@ -18,33 +53,272 @@ router.post('/login',
         return res.status(400).json({ errors: errors.array() });
       }
 
-      const { username, password } = req.body;
-      
-      // Find user by username
-      const user = await User.findOne({ username });
-      
+      const { email, phone, password } = req.body;
+
+      // Find user by email (preferred) or phone, including the password hash
+      const query = email ? { email: email.toLowerCase() } : { phone };
+      const user = await User.findOne(query).select('+password');
+
       if (!user) {
         return res.status(401).json({ error: 'Invalid credentials' });
       }
 
-      // Check password (in a real app, use bcrypt.compare)
-      if (user.password !== password) {
+      const isMatch = await user.matchPassword(password);
+      if (!isMatch) {
         return res.status(401).json({ error: 'Invalid credentials' });
       }
 
-      // Generate JWT token
-      const token = jwt.sign(
-        { userId: user._id, username: user.username },
-        process.env.JWT_SECRET || 'your_jwt_secret',
-        { expiresIn: '1d' }
+      await sendTokenResponse(user, req, res);
+    } catch (error) {
+      console.error('Login error:', error);
+      res.status(500).json({ error: 'Server error' });
+    }
+  }
+);
+
+// Register a new operator account (admin only)
+router.post('/register',
+  protect,
+  authorize('admin'),
+  [
+    body('name').trim().notEmpty().withMessage('Name is required'),
+    body('email').trim().isEmail().withMessage('Please enter a valid email'),
+    body('phone').optional({ checkFalsy: true }).trim()
+      .matches(/^[0-9]{10}$/).withMessage('Please enter a valid 10-digit phone number'),
+    body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+    body('role').optional().isIn(['user', 'admin']).withMessage('Role must be either user or admin')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { name, email, phone, password, role } = req.body;
+
+      // Check if email or phone is already registered
+      const conditions = [{ email: email.toLowerCase() }];
+      if (phone) conditions.push({ phone });
+      const existingUser = await User.findOne({ $or: conditions });
+
+      if (existingUser) {
+        return res.status(400).json({
+          error: 'A user with this email or phone already exists'
+        });
+      }
+
+      const user = new User({
+        name,
+        email,
+        phone: phone || undefined,
+        password,
+        role: role || 'user'
+      });
+
+      await user.save();
+      res.status(201).json({ user: toUserResponse(user) });
+    } catch (error) {
+      console.error('Registration error:', error);
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: error.message
+        });
+      }
+      res.status(500).json({ error: 'Server error' });
+    }
+  }
+);
+
+// Get the currently logged in user
+router.get('/me', protect, async (req, res) => {
+  res.json({ user: toUserResponse(req.user) });
+});
+
+// Request a password reset link
+router.post('/forgot-password',
+  [
+    body('email').trim().isEmail().withMessage('Please enter a valid email')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      // Always answer the same way so the endpoint can't be used to discover accounts
+      const genericResponse = {
+        message: 'If an account exists for this email, a password reset link has been sent'
+      };
+
+      const user = await User.findOne({ email: req.body.email.toLowerCase() });
+      if (!user) {
+        return res.json(genericResponse);
+      }
+
+      // The link only ever points at the configured client; request headers can be forged
+      const clientUrl = process.env.CLIENT_URL;
+      if (!clientUrl) {
+        console.error('CLIENT_URL is not set; password reset email not sent');
+        return res.json(genericResponse);
+      }
+
+      const resetToken = user.getResetPasswordToken();
+      await user.save({ validateBeforeSave: false });
+
+      const resetUrl = `${clientUrl.replace(/\/+$/, '')}/reset-password/${resetToken}`;
+
+      try {
+        await sendEmail({
+          to: user.email,
+          subject: 'Password reset request',
+          text: `Hello ${user.name},\n\nA password reset was requested for your account. ` +
+            `Open the link below to choose a new password:\n\n${resetUrl}\n\n` +
+            'If you did not request this, you can ignore this email.'
+        });
+      } catch (mailError) {
+        console.error('Error sending password reset email:', mailError);
+        user.resetPasswordToken = undefined;
+        user.resetPasswordExpire = undefined;
+        await user.save({ validateBeforeSave: false });
+      }
+
+      res.json(genericResponse);
+    } catch (error) {
+      console.error('Forgot password error:', error);
+      res.status(500).json({ error: 'Server error' });
+    }
+  }
+);
+
+// Reset the password using the token from the reset link
+router.put('/reset-password/:token',
+  [
+    body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const user = await User.findOne({
+        resetPasswordToken: User.hashResetToken(req.params.token),
+        resetPasswordExpire: { $gt: Date.now() }
+      });
+
+      if (!user) {
+        return res.status(400).json({ error: 'Invalid or expired reset token' });
+      }
+
+      user.password = req.body.password;
+      user.resetPasswordToken = undefined;
+      user.resetPasswordExpire = undefined;
+      await user.save();
+
+      // Sign out every device that may have used the old password
+      await Session.revokeAllForUser(user._id, 'Password reset');
+
+      await sendTokenResponse(user, req, res);
+    } catch (error) {
+      console.error('Reset password error:', error);
+      res.status(500).json({ error: 'Server error' });
+    }
+  }
+);
+
+// Exchange a refresh token for a new access token (the refresh token is rotated)
+router.post('/refresh',
+  [
+    body('refreshToken').notEmpty().withMessage('Refresh token is required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const tokenHash = Session.hashToken(req.body.refreshToken);
+      const rotated = await Session.rotate(tokenHash);
+
+      if (!rotated) {
+        if (await Session.exists({ tokenHash })) {
+          return res.status(401).json({ error: 'Session has expired or been revoked' });
+        }
+
+        // A rotated-out token being presented again means it was copied; kill that session
+        await Session.updateOne(
+          { previousTokenHash: tokenHash, revokedAt: null },
+          { $set: { revokedAt: new Date(), revokedReason: 'Refresh token reuse detected' } }
+        );
+        return res.status(401).json({ error: 'Invalid refresh token' });
+      }
+
+      const { session, refreshToken } = rotated;
+      const user = await User.findById(session.user);
+      if (!user) {
+        return res.status(401).json({ error: 'User no longer exists' });
+      }
+
+      res.json({
+        token: user.getSignedJwtToken(session._id),
+        refreshToken
+      });
+    } catch (error) {
+      console.error('Refresh token error:', error);
+      res.status(500).json({ error: 'Server error' });
+    }
+  }
+);
+
+// Log out of this device by revoking its refresh token
+router.post('/logout',
+  [
+    body('refreshToken').notEmpty().withMessage('Refresh token is required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      await Session.updateOne(
+        { tokenHash: Session.hashToken(req.body.refreshToken), revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: 'Logged out' } }
       );
 
-      res.json({ token, user: { id: user._id, username: user.username } });
+      res.json({ message: 'Logged out successfully' });
     } catch (error) {
-      console.error('Login error:', error);
+      console.error('Logout error:', error);
       res.status(500).json({ error: 'Server error' });
     }
   }
 );
 
+// Revoke all sessions of a user, e.g. when a staff member leaves (admin only)
+router.delete('/users/:id/sessions', protect, authorize('admin'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid user ID' });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const revokedCount = await Session.revokeAllForUser(user._id, `Revoked by ${req.user.email}`);
+
+    res.json({ message: 'All sessions revoked', revokedCount });
+  } catch (error) {
+    console.error('Error revoking sessions:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 export default router;
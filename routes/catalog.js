@@ -0,0 +1,99 @@
+import express from 'express';
+import { body, query, validationResult } from 'express-validator';
+import mongoose from 'mongoose';
+import CatalogSyncJob from '../models/CatalogSyncJob.js';
+import { authorize } from '../middleware/auth.js';
+import { checkCatalogConsistency } from '../utils/catalogSync.js';
+
+const router = express.Router();
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  res.status(400).json({
+    error: 'Validation failed',
+    errors: errors.array().map(error => ({ param: error.path, msg: error.msg, value: error.value }))
+  });
+  return true;
+};
+
+// Get recent jobs that copy renamed categories and subcategories onto customers
+router.get('/sync-jobs', async (req, res) => {
+  try {
+    const jobs = await CatalogSyncJob.find()
+      .sort({ createdAt: -1 })
+      .limit(50)
+      .populate('startedBy', 'name email');
+    res.json(jobs);
+  } catch (error) {
+    console.error('Error fetching catalog sync jobs:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get the progress of one sync job
+router.get('/sync-jobs/:jobId', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.jobId)) {
+      return res.status(400).json({ error: 'Invalid sync job ID' });
+    }
+
+    const job = await CatalogSyncJob.findById(req.params.jobId).populate('startedBy', 'name email');
+    if (!job) {
+      return res.status(404).json({ error: 'Sync job not found' });
+    }
+    res.json(job);
+  } catch (error) {
+    console.error('Error fetching catalog sync job:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// List customers whose stored service names or category/subcategory pairing don't match
+// the catalog, e.g. GET /api/catalog/consistency?limit=50
+router.get(
+  '/consistency',
+  [
+    query('limit').optional().isInt({ min: 1, max: 1000 }).withMessage('limit must be between 1 and 1000').toInt()
+  ],
+  async (req, res) => {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      res.json(await checkCatalogConsistency({ limit: req.query.limit }));
+    } catch (error) {
+      console.error('Error checking catalog consistency:', error);
+      res.status(500).json({ error: 'Server error' });
+    }
+  }
+);
+
+// Repair what the consistency check finds, for every customer or only the given customerIds
+router.post(
+  '/consistency/repair',
+  authorize('admin'),
+  [
+    body('customerIds').optional().isArray({ min: 1 }).withMessage('customerIds must be a non-empty list'),
+    body('customerIds.*').custom(value => mongoose.Types.ObjectId.isValid(value))
+      .withMessage('Invalid customer ID format'),
+    body('limit').optional().isInt({ min: 1, max: 1000 }).withMessage('limit must be between 1 and 1000').toInt()
+  ],
+  async (req, res) => {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      res.json(await checkCatalogConsistency({
+        repair: true,
+        customerIds: req.body.customerIds || null,
+        limit: req.body.limit,
+        user: req.user
+      }));
+    } catch (error) {
+      console.error('Error repairing catalog consistency:', error);
+      res.status(500).json({ error: 'Server error' });
+    }
+  }
+);
+
+export default router;
@@ -1,7 +1,16 @@
 import express from 'express';
 import { body, validationResult } from 'express-validator';
+import mongoose from 'mongoose';
 import Category from '../models/Category.js';
-import SubCategory from '../models/SubCategory.js';
+import { authorize } from '../middleware/auth.js';
+import { purgeCategory } from '../utils/trash.js';
+import { startCatalogSync } from '../utils/catalogSync.js';
+import {
+  CATEGORY_DELETE_MODES,
+  getCategoryImpact,
+  deleteCategory,
+  restoreCategory
+} from '../utils/categoryDeletion.js';
 
 const router = express.Router();
 
@@ -20,6 +29,20 @@ router.get('/', async (req, res) => {
   }
 });
 
+// Get categories in the trash
+router.get('/trash', async (req, res) => {
+  try {
+    const categories = await Category.findDeleted().sort({ deletedAt: -1 });
+    res.json(categories);
+  } catch (error) {
+    console.error('Error fetching deleted categories:', error);
+    res.status(500).json({ 
+      error: 'Server error',
+      details: error.message
+    });
+  }
+});
+
 // Get single category by ID
 router.get('/:id', async (req, res) => {
   try {
@@ -40,6 +63,7 @@ router.get('/:id', async (req, res) => {
 // Create a new category
 router.post(
   '/',
+  authorize('admin'),
   [
     body('name').trim().notEmpty().withMessage('Category name is required'),
     body('url').optional().trim().isString()
@@ -53,14 +77,16 @@ router.post(
 
       const { name, url } = req.body;
       
-      // Check if category already exists (case insensitive)
+      // Check if category already exists (case insensitive), including the trash
       const existingCategory = await Category.findOne({ 
         name: { $regex: new RegExp(`^${name}$`, 'i') } 
-      });
+      }).setOptions({ withDeleted: true });
       
       if (existingCategory) {
         return res.status(400).json({ 
-          error: 'Category with this name already exists' 
+          error: existingCategory.isDeleted()
+            ? 'A category with this name is in the trash. Restore it instead.'
+            : 'Category with this name already exists' 
         });
       }
 
@@ -84,6 +110,7 @@ router.post(
 // Update a category
 router.put(
   '/:id',
+  authorize('admin'),
   [
     body('name').trim().notEmpty().withMessage('Category name is required'),
     body('url').optional().trim().isString()
@@ -108,21 +135,37 @@ router.put(
         const existingCategory = await Category.findOne({ 
           _id: { $ne: req.params.id },
           name: { $regex: new RegExp(`^${name}$`, 'i') }
-        });
+        }).setOptions({ withDeleted: true });
         
         if (existingCategory) {
           return res.status(400).json({ 
-            error: 'Another category with this name already exists' 
+            error: existingCategory.isDeleted()
+              ? 'A category with this name is in the trash'
+              : 'Another category with this name already exists' 
           });
         }
       }
 
       // Update category
+      const previousName = category.name;
       category.name = name;
       if (url !== undefined) category.url = url;
       
       await category.save();
-      res.json(category);
+
+      // Customers and orders store the category name; a rename reaches them in the background
+      let syncJob = null;
+      if (category.name !== previousName) {
+        syncJob = await startCatalogSync({
+          entityType: 'Category',
+          entityId: category._id,
+          fromName: previousName,
+          toName: category.name,
+          user: req.user
+        });
+      }
+
+      res.json({ ...category.toJSON(), syncJob });
     } catch (error) {
       console.error('Error updating category:', error);
       res.status(500).json({ 
@@ -133,25 +176,105 @@ router.put(
   }
 );
 
-// Delete a category
-router.delete('/:id', async (req, res) => {
+// Load the target category for a reassigning delete; responds with 400 and returns null
+// when it is missing or not usable
+const loadTargetCategory = async (req, res, category) => {
+  const targetId = req.body.targetCategoryId || req.query.targetCategoryId;
+  if (!targetId || !mongoose.Types.ObjectId.isValid(targetId)) {
+    res.status(400).json({ error: 'A valid targetCategoryId is required to reassign' });
+    return null;
+  }
+  if (category._id.equals(targetId)) {
+    res.status(400).json({ error: 'The target category must be a different category' });
+    return null;
+  }
+
+  const target = await Category.findById(targetId);
+  if (!target) {
+    res.status(400).json({ error: 'Target category not found' });
+    return null;
+  }
+  return target;
+};
+
+// Preview what deleting a category would affect, e.g.
+// GET /api/categories/:id/delete-preview?targetCategoryId=... for a reassignment
+router.get('/:id/delete-preview', authorize('admin'), async (req, res) => {
   try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid category ID' });
+    }
+
+    const category = await Category.findById(req.params.id);
+    if (!category) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    let target = null;
+    if (req.query.targetCategoryId) {
+      target = await loadTargetCategory(req, res, category);
+      if (!target) return;
+    }
+
+    res.json(await getCategoryImpact(category, target));
+  } catch (error) {
+    console.error('Error previewing category delete:', error);
+    res.status(500).json({ 
+      error: 'Failed to preview category delete',
+      details: error.message
+    });
+  }
+});
+
+// Delete a category. A category that is in use needs a mode (body or query):
+// mode=reassign&targetCategoryId=... moves its subcategories, customers and orders to
+// another category; mode=cascade moves all of them to the trash along with it.
+router.delete('/:id', authorize('admin'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid category ID' });
+    }
+
     // Check if category exists
     const category = await Category.findById(req.params.id);
     if (!category) {
       return res.status(404).json({ error: 'Category not found' });
     }
 
-    // Check if category has any subcategories
-    const subcategoriesCount = await SubCategory.countDocuments({ category: req.params.id });
-    if (subcategoriesCount > 0) {
-      return res.status(400).json({ 
-        error: 'Cannot delete category with existing subcategories. Please delete subcategories first.'
-      });
+    const mode = req.body.mode || req.query.mode;
+    if (mode !== undefined && !CATEGORY_DELETE_MODES.includes(mode)) {
+      return res.status(400).json({ error: `mode must be one of: ${CATEGORY_DELETE_MODES.join(', ')}` });
+    }
+
+    if (!mode) {
+      const impact = await getCategoryImpact(category);
+      if (impact.subcategories > 0 || impact.customers > 0 || impact.orders > 0) {
+        return res.status(409).json({
+          error: 'Category is in use. Delete with mode=reassign (and targetCategoryId) or mode=cascade.',
+          impact
+        });
+      }
+
+      await category.softDelete(req.user);
+      return res.json({ message: 'Category moved to trash' });
     }
 
-    await Category.findByIdAndDelete(req.params.id);
-    res.json({ message: 'Category deleted successfully' });
+    let target = null;
+    if (mode === 'reassign') {
+      target = await loadTargetCategory(req, res, category);
+      if (!target) return;
+
+      const impact = await getCategoryImpact(category, target);
+      if (impact.trashedConflicts.length > 0) {
+        return res.status(409).json({
+          error: `${target.name} has subcategories with the same names in the trash. Restore or purge them first.`,
+          impact
+        });
+      }
+    }
+
+    const result = await deleteCategory(category, { mode, targetCategory: target, user: req.user });
+    res.json({ message: 'Category moved to trash', ...result });
   } catch (error) {
     console.error('Error deleting category:', error);
     res.status(500).json({ 
@@ -161,4 +284,42 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
+// Restore a category from the trash, with anything a cascading delete trashed along with it
+router.post('/:id/restore', authorize('admin'), async (req, res) => {
+  try {
+    const category = await Category.findDeletedById(req.params.id);
+    if (!category) {
+      return res.status(404).json({ error: 'Category not found in trash' });
+    }
+
+    const restored = await restoreCategory(category, req.user);
+    res.json({ ...category.toJSON(), restored });
+  } catch (error) {
+    console.error('Error restoring category:', error);
+    res.status(500).json({ 
+      error: 'Failed to restore category',
+      details: error.message
+    });
+  }
+});
+
+// Permanently delete a category from the trash
+router.delete('/:id/purge', authorize('admin'), async (req, res) => {
+  try {
+    const category = await Category.findDeletedById(req.params.id);
+    if (!category) {
+      return res.status(404).json({ error: 'Category not found in trash' });
+    }
+
+    await purgeCategory(category);
+    res.json({ message: 'Category permanently deleted' });
+  } catch (error) {
+    console.error('Error purging category:', error);
+    res.status(500).json({ 
+      error: 'Failed to purge category',
+      details: error.message
+    });
+  }
+});
+
 export default router;
@@ -0,0 +1,128 @@
+import express from 'express';
+import path from 'path';
+import mongoose from 'mongoose';
+import multer from 'multer';
+import ImportJob from '../models/ImportJob.js';
+import {
+  parseImportFile,
+  runCustomerImport,
+  validateColumnMapping,
+  getChecksum,
+  SUPPORTED_EXTENSIONS
+} from '../utils/customerImport.js';
+
+// Mounted at /api/customers/import (admin only)
+const router = express.Router();
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: (parseInt(process.env.IMPORT_MAX_FILE_MB, 10) || 10) * 1024 * 1024 },
+  fileFilter: (req, file, callback) => {
+    const extension = path.extname(file.originalname).toLowerCase();
+    if (!SUPPORTED_EXTENSIONS.includes(extension)) {
+      return callback(new multer.MulterError('LIMIT_UNEXPECTED_FILE', 'file'));
+    }
+    callback(null, true);
+  }
+});
+
+// Accept the upload and turn multer errors into 400 responses
+const receiveFile = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      const message = error.code === 'LIMIT_FILE_SIZE'
+        ? 'File is too large'
+        : `Upload a single ${SUPPORTED_EXTENSIONS.join(' or ')} file in the "file" field`;
+      return res.status(400).json({ error: message });
+    }
+    if (error) return next(error);
+    next();
+  });
+};
+
+const parseBoolean = (value) => value === true || value === 'true' || value === '1';
+
+// Import customers from a CSV or XLSX file.
+// Options (query or form fields): dryRun=true, onExisting=skip|update,
+// mapping={"Sheet header":"customerField"} as JSON.
+router.post('/', receiveFile, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    const input = { ...req.query, ...req.body };
+    const onExisting = input.onExisting || 'skip';
+    if (!['skip', 'update'].includes(onExisting)) {
+      return res.status(400).json({ error: 'onExisting must be skip or update' });
+    }
+
+    let mapping = {};
+    if (input.mapping) {
+      try {
+        mapping = typeof input.mapping === 'string' ? JSON.parse(input.mapping) : input.mapping;
+      } catch (error) {
+        return res.status(400).json({ error: 'mapping must be valid JSON' });
+      }
+      const mappingErrors = validateColumnMapping(mapping);
+      if (mappingErrors.length > 0) {
+        return res.status(400).json({ error: 'Validation failed', errors: mappingErrors });
+      }
+    }
+
+    let rows;
+    try {
+      rows = await parseImportFile(req.file.buffer, req.file.originalname);
+    } catch (error) {
+      return res.status(400).json({ error: 'Could not read the file', details: error.message });
+    }
+
+    const report = await runCustomerImport({
+      rows,
+      fileName: req.file.originalname,
+      checksum: getChecksum(req.file.buffer),
+      options: { dryRun: parseBoolean(input.dryRun), onExisting, mapping },
+      user: req.user
+    });
+
+    res.status(report.dryRun ? 200 : 201).json(report);
+  } catch (error) {
+    console.error('Error importing customers:', error);
+    res.status(500).json({ error: 'Failed to import customers', details: error.message });
+  }
+});
+
+// Get recent import jobs
+router.get('/jobs', async (req, res) => {
+  try {
+    const jobs = await ImportJob.find()
+      .select('-rowErrors')
+      .sort({ createdAt: -1 })
+      .limit(50)
+      .populate('startedBy', 'name email');
+    res.json(jobs);
+  } catch (error) {
+    console.error('Error fetching import jobs:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get one import job with its row errors
+router.get('/jobs/:jobId', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.jobId)) {
+      return res.status(400).json({ error: 'Invalid import job ID' });
+    }
+
+    const job = await ImportJob.findById(req.params.jobId).populate('startedBy', 'name email');
+    if (!job) {
+      return res.status(404).json({ error: 'Import job not found' });
+    }
+    res.json(job);
+  } catch (error) {
+    console.error('Error fetching import job:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+export default router;
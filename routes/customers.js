@@ -1,73 +1,374 @@
 import express from 'express';
+import mongoose from 'mongoose';
+import { body } from 'express-validator';
 import Customer from '../models/Customer.js';
+import { getHistory } from '../utils/audit.js';
+import { purgeCustomer } from '../utils/trash.js';
+import { authorize } from '../middleware/auth.js';
+import { buildCustomerFilter, buildCustomerSort, buildPagination } from '../utils/customerQuery.js';
+import { searchCustomers } from '../utils/customerSearch.js';
+import { EXPORT_FORMATS, selectExportColumns, streamCustomerExport } from '../utils/customerExport.js';
+import paymentRoutes from './payments.js';
+import serviceOrderRoutes from './serviceOrders.js';
+import customerImportRoutes from './customerImport.js';
+import documentRoutes from './documents.js';
+import { applyDeliveryTransition, getStageDurations } from '../utils/deliveryWorkflow.js';
+import {
+  DUPLICATE_REASONS,
+  MERGEABLE_FIELDS,
+  findDuplicateGroups,
+  mergeCustomers
+} from '../utils/customerDuplicates.js';
+import {
+  createCustomerValidators,
+  updateCustomerValidators,
+  rejectInvalidCustomer,
+  sendCustomerError,
+  createCustomer,
+  updateCustomer,
+  deleteCustomer,
+  restoreCustomer
+} from '../utils/customerService.js';
+import {
+  bulkOperationValidators,
+  prepareBulkOperation,
+  findBulkCustomers,
+  runBulkOperation
+} from '../utils/customerBulk.js';
+import { loadCustomer } from '../middleware/loadCustomer.js';
 
 const router = express.Router();
 
-// Get all customers
+// Get customers, filtered, sorted and paginated
 router.get('/', async (req, res) => {
   try {
-    const customers = await Customer.find().sort({ createdAt: -1 });
-    res.json(customers);
+    const { filter, errors: filterErrors } = buildCustomerFilter(req.query);
+    const { sort, errors: sortErrors } = buildCustomerSort(req.query);
+    const { page, limit, skip, errors: pageErrors } = buildPagination(req.query);
+
+    const errors = [...filterErrors, ...sortErrors, ...pageErrors];
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid query parameters', errors });
+    }
+
+    const [customers, total] = await Promise.all([
+      Customer.find(filter).sort(sort).skip(skip).limit(limit),
+      Customer.countDocuments(filter)
+    ]);
+
+    res.json({
+      data: customers,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
   } catch (error) {
     console.error('Error fetching customers:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-// Get a single customer by ID
-router.get('/:id', async (req, res) => {
+// Bulk import from CSV/XLSX (admin only)
+router.use('/import', authorize('admin'), customerImportRoutes);
+
+// Export customers, e.g. GET /api/customers/export?format=csv&status=Active&columns=name,phone,fees
+// Accepts the same filters and sort as the list endpoint; the file is streamed.
+router.get('/export', async (req, res) => {
   try {
-    const customer = await Customer.findById(req.params.id);
-    if (!customer) {
-      return res.status(404).json({ error: 'Customer not found' });
+    const format = (req.query.format || 'csv').toLowerCase();
+    const { filter, errors: filterErrors } = buildCustomerFilter(req.query);
+    const { sort, errors: sortErrors } = buildCustomerSort(req.query);
+    const { columns, errors: columnErrors } = selectExportColumns(req.query.columns);
+
+    const errors = [...filterErrors, ...sortErrors, ...columnErrors];
+    if (!EXPORT_FORMATS.includes(format)) {
+      errors.push({ param: 'format', msg: `Format must be one of: ${EXPORT_FORMATS.join(', ')}`, value: req.query.format });
     }
-    res.json(customer);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid query parameters', errors });
+    }
+
+    await streamCustomerExport(res, { filter, sort, columns, format });
+  } catch (error) {
+    console.error('Error exporting customers:', error);
+    // Once the file has started the status can no longer change; cut the download short
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Relevance-ranked customer search, e.g. GET /api/customers/search?q=ramesh+gandhi+nagar
+// Accepts the same filters as the list endpoint to narrow the results.
+router.get('/search', async (req, res) => {
+  try {
+    const { q, search, ...filters } = req.query;
+    if (!q || !String(q).trim()) {
+      return res.status(400).json({
+        error: 'Invalid query parameters',
+        errors: [{ param: 'q', msg: 'Search text is required', value: q }]
+      });
+    }
+
+    const { filter, errors } = buildCustomerFilter(filters);
+    const { limit, errors: limitErrors } = buildPagination({ limit: req.query.limit });
+    errors.push(...limitErrors);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid query parameters', errors });
+    }
+
+    const results = await searchCustomers(q, { filter, limit });
+    res.json({ data: results, total: results.length });
+  } catch (error) {
+    console.error('Error searching customers:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get customers in the trash
+router.get('/trash', async (req, res) => {
+  try {
+    const customers = await Customer.findDeleted()
+      .sort({ deletedAt: -1 })
+      .populate('deletedBy', 'name email');
+    res.json(customers);
+  } catch (error) {
+    console.error('Error fetching deleted customers:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Groups of likely duplicate customers (same phone, email, or name and date of birth),
+// e.g. GET /api/customers/duplicates?reason=phone,email
+router.get('/duplicates', async (req, res) => {
+  try {
+    const reasons = req.query.reason
+      ? String(req.query.reason).split(',').map(reason => reason.trim()).filter(Boolean)
+      : DUPLICATE_REASONS;
+    const invalid = reasons.filter(reason => !DUPLICATE_REASONS.includes(reason));
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid query parameters',
+        errors: [{ param: 'reason', msg: `reason must be one of: ${DUPLICATE_REASONS.join(', ')}`, value: req.query.reason }]
+      });
+    }
+
+    const groups = await findDuplicateGroups({ reasons });
+    res.json({ data: groups, total: groups.length });
+  } catch (error) {
+    console.error('Error finding duplicate customers:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Run one operation on many customers, named by ids or by the list endpoint's filters, e.g.
+// POST /api/customers/bulk { "ids": [...], "operation": "deliveryStatus", "deliveryStatus": "Completed" }
+// Every customer gets its own result; with "dryRun": true nothing is saved.
+router.post('/bulk', bulkOperationValidators, rejectInvalidCustomer, async (req, res) => {
+  try {
+    const { params, errors: operationErrors } = await prepareBulkOperation(req.body);
+    if (operationErrors) {
+      return res.status(400).json({ error: 'Validation failed', errors: operationErrors });
+    }
+
+    const { customers, missing, errors } = await findBulkCustomers(req.body);
+    if (errors) {
+      return res.status(400).json({ error: 'Validation failed', errors });
+    }
+
+    const report = await runBulkOperation(customers, missing, params, {
+      dryRun: req.body.dryRun === true,
+      user: req.user
+    });
+    res.json(report);
+  } catch (error) {
+    sendCustomerError(res, error, 'running bulk customer operation');
+  }
+});
+
+// Get the change history of a customer
+router.get('/:id/history', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid customer ID format' });
+    }
+
+    const history = await getHistory('Customer', req.params.id);
+    res.json(history);
   } catch (error) {
-    console.error('Error fetching customer:', error);
+    console.error('Error fetching customer history:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
+// Payment ledger, service orders and documents of a customer
+router.use('/:id/payments', paymentRoutes);
+router.use('/:id/orders', serviceOrderRoutes);
+router.use('/:id/documents', documentRoutes);
+
+// Get a single customer by ID
+router.get('/:id', loadCustomer, (req, res) => {
+  res.json(req.customer);
+});
+
 // Create a new customer
-router.post('/', async (req, res) => {
+router.post('/', createCustomerValidators, rejectInvalidCustomer, async (req, res) => {
   try {
-    const customer = new Customer(req.body);
-    await customer.save();
+    const { customer, warnings, errors } = await createCustomer(req.body, req.user);
+    if (errors) {
+      return res.status(400).json({ error: 'Validation failed', errors });
+    }
+
+    if (warnings.length > 0) {
+      return res.status(201).json({ ...customer.toJSON(), warnings });
+    }
     res.status(201).json(customer);
   } catch (error) {
-    console.error('Error creating customer:', error);
-    res.status(500).json({ error: 'Server error' });
+    sendCustomerError(res, error, 'creating customer');
   }
 });
 
 // Update a customer
-router.put('/:id', async (req, res) => {
+router.put('/:id', updateCustomerValidators, rejectInvalidCustomer, loadCustomer, async (req, res) => {
+  try {
+    const result = await updateCustomer(req.customer, req.body, req.user);
+    if (result.errors) {
+      return res.status(400).json({ error: 'Validation failed', errors: result.errors });
+    }
+    if (result.error) {
+      return res.status(result.statusCode).json({ error: result.error });
+    }
+
+    res.json(result.customer);
+  } catch (error) {
+    sendCustomerError(res, error, 'updating customer');
+  }
+});
+
+// Move a customer's delivery status through the workflow
+router.post('/:id/delivery-status', loadCustomer, async (req, res) => {
+  try {
+    const problem = await applyDeliveryTransition(req.customer, 'Customer', req.body.status, {
+      user: req.user,
+      reason: req.body.reason
+    });
+    if (problem) {
+      return res.status(problem.statusCode).json({ error: problem.error });
+    }
+
+    res.json(req.customer);
+  } catch (error) {
+    sendCustomerError(res, error, 'changing delivery status');
+  }
+});
+
+// Get the delivery status timeline of a customer with time spent in each stage
+router.get('/:id/delivery-timeline', loadCustomer, async (req, res) => {
   try {
-    const customer = await Customer.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true, runValidators: true }
-    );
+    await req.customer.populate('deliveryHistory.by', 'name email');
+    res.json({
+      deliveryStatus: req.customer.deliveryStatus,
+      ...getStageDurations(req.customer.deliveryHistory)
+    });
+  } catch (error) {
+    console.error('Error fetching delivery timeline:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Delete a customer (moves it to the trash)
+router.delete('/:id', loadCustomer, async (req, res) => {
+  try {
+    await deleteCustomer(req.customer, req.user);
+    res.json({ message: 'Customer moved to trash' });
+  } catch (error) {
+    sendCustomerError(res, error, 'deleting customer');
+  }
+});
+
+// Merge a duplicate customer (sourceId) into this one (admin only). Orders, payments,
+// invoices and documents move over; the duplicate goes to the trash with its history.
+router.post(
+  '/:id/merge',
+  authorize('admin'),
+  [
+    body('sourceId').notEmpty().withMessage('Source customer ID is required')
+      .custom(value => mongoose.Types.ObjectId.isValid(value)).withMessage('Invalid source customer ID format'),
+    body('takeFromSource').optional().isArray().withMessage('takeFromSource must be a list of fields'),
+    body('takeFromSource.*').isIn(MERGEABLE_FIELDS)
+      .withMessage(`Fields must be one of: ${MERGEABLE_FIELDS.join(', ')}`)
+  ],
+  rejectInvalidCustomer,
+  loadCustomer,
+  async (req, res) => {
+    try {
+      const target = req.customer;
+      if (target._id.equals(req.body.sourceId)) {
+        return res.status(400).json({ error: 'A customer cannot be merged into itself' });
+      }
+
+      const source = await Customer.findById(req.body.sourceId);
+      if (!source) {
+        return res.status(404).json({ error: 'Source customer not found' });
+      }
+
+      const result = await mergeCustomers(target, source, {
+        takeFromSource: req.body.takeFromSource || [],
+        user: req.user
+      });
+
+      res.json(result);
+    } catch (error) {
+      sendCustomerError(res, error, 'merging customers');
+    }
+  }
+);
+
+// Restore a customer from the trash
+router.post('/:id/restore', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid customer ID format' });
+    }
+
+    const customer = await Customer.findDeletedById(req.params.id);
     if (!customer) {
-      return res.status(404).json({ error: 'Customer not found' });
+      return res.status(404).json({ error: 'Customer not found in trash' });
     }
+
+    // Its orders, payments and documents now belong to the customer it was merged into
+    if (customer.mergedInto) {
+      return res.status(400).json({
+        error: `This customer was merged into customer ${customer.mergedInto} and cannot be restored`
+      });
+    }
+
+    await restoreCustomer(customer, req.user);
     res.json(customer);
   } catch (error) {
-    console.error('Error updating customer:', error);
+    console.error('Error restoring customer:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-// Delete a customer
-router.delete('/:id', async (req, res) => {
+// Permanently delete a customer from the trash (admin only)
+router.delete('/:id/purge', authorize('admin'), async (req, res) => {
   try {
-    const customer = await Customer.findByIdAndDelete(req.params.id);
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid customer ID format' });
+    }
+
+    const customer = await Customer.findDeletedById(req.params.id);
     if (!customer) {
-      return res.status(404).json({ error: 'Customer not found' });
+      return res.status(404).json({ error: 'Customer not found in trash' });
     }
-    res.json({ message: 'Customer deleted successfully' });
+
+    await purgeCustomer(customer, req.user);
+    res.json({ message: 'Customer permanently deleted' });
   } catch (error) {
-    console.error('Error deleting customer:', error);
+    console.error('Error purging customer:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
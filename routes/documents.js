@@ -0,0 +1,196 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import multer from 'multer';
+import { body, validationResult } from 'express-validator';
+import CustomerDocument, { DOCUMENT_TYPES } from '../models/CustomerDocument.js';
+import { loadCustomer } from '../middleware/loadCustomer.js';
+import { recordAudit } from '../utils/audit.js';
+import {
+  DOCUMENT_MIME_TYPES,
+  getMaxDocumentBytes,
+  contentMatchesType,
+  saveDocument,
+  readDocument,
+  deleteDocument
+} from '../utils/customerDocuments.js';
+
+// Mounted at /api/customers/:id/documents
+const router = express.Router({ mergeParams: true });
+
+router.use(loadCustomer);
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: getMaxDocumentBytes(), files: 1 },
+  fileFilter: (req, file, callback) => {
+    if (!DOCUMENT_MIME_TYPES[file.mimetype]) {
+      return callback(new multer.MulterError('LIMIT_UNEXPECTED_FILE', 'file'));
+    }
+    callback(null, true);
+  }
+});
+
+// Accept the upload and turn multer errors into 400 responses
+const receiveFile = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      const message = error.code === 'LIMIT_FILE_SIZE'
+        ? `File is too large (max ${getMaxDocumentBytes() / (1024 * 1024)} MB)`
+        : `Upload a single file in the "file" field. Allowed types: ${Object.keys(DOCUMENT_MIME_TYPES).join(', ')}`;
+      return res.status(400).json({ error: message });
+    }
+    if (error) return next(error);
+    next();
+  });
+};
+
+// Load the document named by :documentId, making sure it belongs to the customer
+const loadDocument = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.documentId)) {
+    res.status(400).json({ error: 'Invalid document ID format' });
+    return null;
+  }
+
+  const document = await CustomerDocument.findOne({ _id: req.params.documentId, customer: req.customer._id });
+  if (!document) {
+    res.status(404).json({ error: 'Document not found' });
+    return null;
+  }
+  return document;
+};
+
+// Get the documents of a customer, newest first
+router.get('/', async (req, res) => {
+  try {
+    const documents = await CustomerDocument.find({ customer: req.customer._id })
+      .sort({ createdAt: -1 })
+      .populate('uploadedBy', 'name email');
+    res.json(documents);
+  } catch (error) {
+    console.error('Error fetching documents:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Upload a document (multipart, field "file"; optional type and description)
+router.post(
+  '/',
+  receiveFile,
+  [
+    body('type').optional().isIn(DOCUMENT_TYPES)
+      .withMessage(`Type must be one of: ${DOCUMENT_TYPES.join(', ')}`),
+    body('description').optional().trim().isString()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+      if (!req.file) {
+        return res.status(400).json({ error: 'No file uploaded' });
+      }
+      // The declared type comes from the client; check the contents agree
+      if (!contentMatchesType(req.file.buffer, req.file.mimetype)) {
+        return res.status(400).json({ error: `File contents do not match its type (${req.file.mimetype})` });
+      }
+
+      const document = await saveDocument({
+        customer: req.customer,
+        file: req.file,
+        type: req.body.type,
+        description: req.body.description,
+        user: req.user
+      });
+
+      await recordAudit({
+        entityType: 'Customer',
+        entityId: req.customer._id,
+        action: 'document_upload',
+        changes: [{ field: 'documents', from: null, to: document.originalName }],
+        user: req.user,
+        note: `${document.type}: ${document.originalName} (${document.checksum})`
+      });
+
+      res.status(201).json(document);
+    } catch (error) {
+      console.error('Error uploading document:', error);
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: error.message
+        });
+      }
+      res.status(500).json({ error: 'Failed to upload document' });
+    }
+  }
+);
+
+// Get a document's details
+router.get('/:documentId', async (req, res) => {
+  try {
+    const document = await loadDocument(req, res);
+    if (!document) return;
+    await document.populate('uploadedBy', 'name email');
+    res.json(document);
+  } catch (error) {
+    console.error('Error fetching document:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Download a document
+router.get('/:documentId/download', async (req, res) => {
+  try {
+    const document = await loadDocument(req, res);
+    if (!document) return;
+
+    let stream;
+    try {
+      stream = await readDocument(document);
+    } catch (error) {
+      console.error('Error reading stored document:', error);
+      return res.status(404).json({ error: 'Document file is missing from storage' });
+    }
+
+    res.setHeader('Content-Type', document.mimeType);
+    res.setHeader('Content-Length', document.size);
+    res.setHeader('Content-Disposition',
+      `${req.query.inline === 'true' ? 'inline' : 'attachment'}; filename*=UTF-8''${encodeURIComponent(document.originalName)}`);
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    stream.on('error', (error) => {
+      console.error('Error streaming document:', error);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+  } catch (error) {
+    console.error('Error downloading document:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Delete a document and its stored file
+router.delete('/:documentId', async (req, res) => {
+  try {
+    const document = await loadDocument(req, res);
+    if (!document) return;
+
+    await deleteDocument(document);
+
+    await recordAudit({
+      entityType: 'Customer',
+      entityId: req.customer._id,
+      action: 'document_delete',
+      changes: [{ field: 'documents', from: document.originalName, to: null }],
+      user: req.user,
+      note: `${document.type}: ${document.originalName} (${document.checksum})`
+    });
+
+    res.json({ message: 'Document deleted' });
+  } catch (error) {
+    console.error('Error deleting document:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+export default router;
@@ -0,0 +1,224 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { body, query as queryParam, validationResult } from 'express-validator';
+import Invoice from '../models/Invoice.js';
+import Customer from '../models/Customer.js';
+import SubCategory from '../models/SubCategory.js';
+import ServiceOrder from '../models/ServiceOrder.js';
+import { authorize } from '../middleware/auth.js';
+import { buildPagination } from '../utils/customerQuery.js';
+import { createInvoice, cancelInvoice } from '../utils/invoices.js';
+import { getDefaultGstRate } from '../utils/gst.js';
+import { renderInvoiceHtml } from '../utils/invoiceHtml.js';
+
+const router = express.Router();
+
+const enumValues = (field) => Invoice.schema.path(field).enumValues;
+
+// Get invoices and credit notes, optionally filtered by customer, type, status and date
+router.get(
+  '/',
+  [
+    queryParam('customer').optional().custom(value => mongoose.Types.ObjectId.isValid(value))
+      .withMessage('Invalid customer ID format'),
+    queryParam('type').optional().isIn(enumValues('type'))
+      .withMessage(`type must be one of: ${enumValues('type').join(', ')}`),
+    queryParam('status').optional().isIn(enumValues('status'))
+      .withMessage(`status must be one of: ${enumValues('status').join(', ')}`),
+    queryParam('financialYear').optional().isString().matches(/^[0-9]{4}-[0-9]{2}$/)
+      .withMessage('financialYear must look like 2024-25'),
+    queryParam('from').optional().isISO8601().withMessage('from must be a valid date'),
+    queryParam('to').optional().isISO8601().withMessage('to must be a valid date')
+  ],
+  async (req, res) => {
+    try {
+      const { customer, type, status, financialYear, from, to } = req.query;
+      const { page, limit, skip, errors } = buildPagination(req.query);
+      errors.push(...validationResult(req).array()
+        .map(error => ({ param: error.path, msg: error.msg, value: error.value })));
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid query parameters', errors });
+      }
+
+      const query = {};
+      if (customer) query.customer = customer;
+      if (type) query.type = type;
+      if (status) query.status = status;
+      if (financialYear) query.financialYear = financialYear;
+      if (from || to) {
+        query.issueDate = {};
+        if (from) query.issueDate.$gte = new Date(from);
+        if (to) query.issueDate.$lte = new Date(to);
+      }
+
+      const [invoices, total] = await Promise.all([
+        Invoice.find(query).sort({ issueDate: -1, _id: -1 }).skip(skip).limit(limit),
+        Invoice.countDocuments(query)
+      ]);
+
+      res.json({
+        data: invoices,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching invoices:', error);
+      res.status(500).json({ error: 'Server error' });
+    }
+  }
+);
+
+// Get a single invoice
+router.get('/:id', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid invoice ID format' });
+    }
+
+    const invoice = await Invoice.findById(req.params.id)
+      .populate('creditNote', 'number issueDate')
+      .populate('originalInvoice', 'number issueDate');
+    if (!invoice) {
+      return res.status(404).json({ error: 'Invoice not found' });
+    }
+
+    res.json(invoice);
+  } catch (error) {
+    console.error('Error fetching invoice:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Printable HTML version of an invoice
+router.get('/:id/html', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid invoice ID format' });
+    }
+
+    const invoice = await Invoice.findById(req.params.id);
+    if (!invoice) {
+      return res.status(404).json({ error: 'Invoice not found' });
+    }
+
+    res.type('html').send(renderInvoiceHtml(invoice));
+  } catch (error) {
+    console.error('Error rendering invoice:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Create an invoice for a customer's service; with orderId, for that service order
+router.post(
+  '/',
+  [
+    body('customerId').notEmpty().withMessage('Customer ID is required')
+      .custom(value => mongoose.Types.ObjectId.isValid(value)).withMessage('Invalid customer ID format'),
+    body('orderId').optional({ nullable: true })
+      .custom(value => mongoose.Types.ObjectId.isValid(value)).withMessage('Invalid service order ID format'),
+    body('gstRate').optional().isFloat({ min: 0, max: 100 }).withMessage('GST rate must be between 0 and 100'),
+    body('gstInclusive').optional().isBoolean().withMessage('gstInclusive must be true or false'),
+    body('items').optional().isArray({ min: 1 }).withMessage('Items must be a non-empty list'),
+    body('items.*.description').if(body('items').exists())
+      .trim().notEmpty().withMessage('Item description is required'),
+    body('items.*.amount').if(body('items').exists())
+      .isFloat({ min: 0 }).withMessage('Item amount must be a non-negative number'),
+    body('notes').optional().trim().isString()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const customer = await Customer.findById(req.body.customerId);
+      if (!customer) {
+        return res.status(404).json({ error: 'Customer not found' });
+      }
+
+      let order = null;
+      if (req.body.orderId) {
+        order = await ServiceOrder.findOne({ _id: req.body.orderId, customer: customer._id });
+        if (!order) {
+          return res.status(404).json({ error: 'Service order not found for this customer' });
+        }
+      }
+
+      // Services the catalog marks as exempt are billed without GST unless a rate is given
+      const service = order || customer;
+      let gstRate = req.body.gstRate !== undefined ? Number(req.body.gstRate) : getDefaultGstRate();
+      if (req.body.gstRate === undefined && service.serviceSubCategory) {
+        const subcategory = await SubCategory.findById(service.serviceSubCategory)
+          .setOptions({ withDeleted: true });
+        if (subcategory && subcategory.gstApplicable === false) gstRate = 0;
+      }
+
+      const invoice = await createInvoice({
+        customer,
+        order,
+        items: req.body.items && req.body.items.map(item => ({ ...item, amount: Number(item.amount) })),
+        gstRate,
+        gstInclusive: req.body.gstInclusive === true || req.body.gstInclusive === 'true',
+        notes: req.body.notes,
+        user: req.user
+      });
+
+      res.status(201).json(invoice);
+    } catch (error) {
+      console.error('Error creating invoice:', error);
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: error.message
+        });
+      }
+      res.status(500).json({ error: 'Failed to create invoice' });
+    }
+  }
+);
+
+// Cancel an invoice; a credit note is issued for its full value
+router.post(
+  '/:id/cancel',
+  authorize('admin'),
+  [
+    body('reason').trim().notEmpty().withMessage('Cancellation reason is required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ error: 'Invalid invoice ID format' });
+      }
+
+      const invoice = await Invoice.findById(req.params.id);
+      if (!invoice) {
+        return res.status(404).json({ error: 'Invoice not found' });
+      }
+      if (invoice.type !== 'invoice') {
+        return res.status(400).json({ error: 'Only invoices can be cancelled' });
+      }
+
+      const result = await cancelInvoice(invoice, { reason: req.body.reason, user: req.user });
+      if (!result) {
+        return res.status(400).json({ error: 'Invoice is already cancelled' });
+      }
+
+      res.json(result);
+    } catch (error) {
+      console.error('Error cancelling invoice:', error);
+      res.status(500).json({ error: 'Failed to cancel invoice' });
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,152 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { body, validationResult } from 'express-validator';
+import Invoice from '../models/Invoice.js';
+import Payment, { PAYMENT_MODES } from '../models/Payment.js';
+import { authorize } from '../middleware/auth.js';
+import { loadCustomer } from '../middleware/loadCustomer.js';
+import { recordAudit } from '../utils/audit.js';
+import { getCustomerBalance } from '../utils/payments.js';
+
+// Mounted at /api/customers/:id/payments
+const router = express.Router({ mergeParams: true });
+
+router.use(loadCustomer);
+
+// Get the payment ledger of a customer with the outstanding balance
+router.get('/', async (req, res) => {
+  try {
+    const [payments, summary] = await Promise.all([
+      Payment.find({ customer: req.customer._id })
+        .sort({ receivedAt: 1, _id: 1 })
+        .populate('receivedBy', 'name email')
+        .populate('voidedBy', 'name email')
+        .populate('invoice', 'number total status'),
+      getCustomerBalance(req.customer)
+    ]);
+
+    res.json({ customer: req.customer._id, payments, summary });
+  } catch (error) {
+    console.error('Error fetching payments:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Record a payment (or refund) for a customer
+router.post(
+  '/',
+  [
+    body('amount').isFloat({ gt: 0 }).withMessage('Amount must be greater than zero'),
+    body('mode').isIn(PAYMENT_MODES).withMessage(`Mode must be one of: ${PAYMENT_MODES.join(', ')}`),
+    body('kind').optional().isIn(['payment', 'refund']).withMessage('Kind must be payment or refund'),
+    body('invoiceId').optional({ checkFalsy: true })
+      .custom(value => mongoose.Types.ObjectId.isValid(value)).withMessage('Invalid invoice ID format'),
+    body('reference').optional().trim().isString(),
+    body('receivedAt').optional().isISO8601().withMessage('receivedAt must be a valid date'),
+    body('notes').optional().trim().isString()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { amount, mode, kind, invoiceId, reference, receivedAt, notes } = req.body;
+
+      if (invoiceId) {
+        const invoice = await Invoice.findOne({ _id: invoiceId, customer: req.customer._id, type: 'invoice' });
+        if (!invoice) {
+          return res.status(400).json({ error: 'Invoice not found for this customer' });
+        }
+        if (invoice.status === 'cancelled' && kind !== 'refund') {
+          return res.status(400).json({ error: 'Cannot record a payment against a cancelled invoice' });
+        }
+      }
+
+      const payment = await Payment.create({
+        customer: req.customer._id,
+        invoice: invoiceId || null,
+        kind: kind || 'payment',
+        amount: Number(amount),
+        mode,
+        reference,
+        receivedAt: receivedAt ? new Date(receivedAt) : new Date(),
+        receivedBy: req.user._id,
+        notes
+      });
+
+      await recordAudit({
+        entityType: 'Customer',
+        entityId: req.customer._id,
+        action: payment.kind,
+        changes: [{ field: 'amount', from: null, to: payment.amount }],
+        user: req.user,
+        note: [payment.mode, payment.reference].filter(Boolean).join(' ')
+      });
+
+      const summary = await getCustomerBalance(req.customer);
+      res.status(201).json({ payment, summary });
+    } catch (error) {
+      console.error('Error recording payment:', error);
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: error.message
+        });
+      }
+      res.status(500).json({ error: 'Failed to record payment' });
+    }
+  }
+);
+
+// Void a mistaken ledger entry (admin only); it stays in the ledger marked as void
+router.post(
+  '/:paymentId/void',
+  authorize('admin'),
+  [
+    body('reason').trim().notEmpty().withMessage('Reason is required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      if (!mongoose.Types.ObjectId.isValid(req.params.paymentId)) {
+        return res.status(400).json({ error: 'Invalid payment ID format' });
+      }
+
+      const payment = await Payment.findOne({ _id: req.params.paymentId, customer: req.customer._id });
+      if (!payment) {
+        return res.status(404).json({ error: 'Payment not found' });
+      }
+      if (payment.voidedAt) {
+        return res.status(400).json({ error: 'Payment is already void' });
+      }
+
+      payment.voidedAt = new Date();
+      payment.voidedBy = req.user._id;
+      payment.voidReason = req.body.reason;
+      await payment.save();
+
+      await recordAudit({
+        entityType: 'Customer',
+        entityId: req.customer._id,
+        action: `${payment.kind}_void`,
+        changes: [{ field: 'amount', from: payment.amount, to: null }],
+        user: req.user,
+        note: req.body.reason
+      });
+
+      const summary = await getCustomerBalance(req.customer);
+      res.json({ payment, summary });
+    } catch (error) {
+      console.error('Error voiding payment:', error);
+      res.status(500).json({ error: 'Failed to void payment' });
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,98 @@
+import express from 'express';
+import ServiceOrder from '../models/ServiceOrder.js';
+import {
+  buildCustomerFilter,
+  buildPagination,
+  lookupOrderCustomer,
+  toOrderMatch
+} from '../utils/customerQuery.js';
+import { daysUntil } from '../utils/renewals.js';
+import { startOfBusinessDay } from '../utils/businessDate.js';
+
+const router = express.Router();
+
+// Customer fields shown with each renewal
+const CUSTOMER_FIELDS = ['_id', 'name', 'phone', 'email', 'city', 'status'];
+
+// Run a renewal query over service orders, so every order of a customer is listed, with
+// the list filters (on the order's service or on its customer) and pagination applied
+const findRenewals = async (req, res, dateRange, sortOrder) => {
+  const { filter, errors: filterErrors } = buildCustomerFilter(req.query);
+  const { page, limit, skip, errors: pageErrors } = buildPagination(req.query);
+
+  const errors = [...filterErrors, ...pageErrors];
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid query parameters', errors });
+  }
+
+  delete filter.nextRenewalDate;
+  const [result] = await ServiceOrder.aggregate([
+    { $match: { deletedAt: null, nextRenewalDate: dateRange } },
+    ...lookupOrderCustomer(),
+    { $match: toOrderMatch(filter) },
+    { $sort: { nextRenewalDate: sortOrder, _id: 1 } },
+    {
+      $facet: {
+        data: [
+          { $skip: skip },
+          { $limit: limit },
+          {
+            $set: {
+              customer: Object.fromEntries(CUSTOMER_FIELDS.map(field => [field, `$customer.${field}`]))
+            }
+          }
+        ],
+        total: [{ $count: 'count' }]
+      }
+    }
+  ]);
+  const total = result.total.length > 0 ? result.total[0].count : 0;
+
+  const now = new Date();
+  res.json({
+    data: result.data.map(order => ({
+      ...order,
+      daysUntilRenewal: daysUntil(order.nextRenewalDate, now)
+    })),
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  });
+};
+
+// Get renewals due in the next `days` days (default 30), soonest first
+router.get('/upcoming', async (req, res) => {
+  try {
+    const days = req.query.days === undefined ? 30 : parseInt(req.query.days, 10);
+    if (isNaN(days) || days < 0) {
+      return res.status(400).json({
+        error: 'Invalid query parameters',
+        errors: [{ param: 'days', msg: 'days must be a non-negative integer', value: req.query.days }]
+      });
+    }
+
+    const now = new Date();
+    await findRenewals(req, res, {
+      $gte: startOfBusinessDay(now),
+      $lt: startOfBusinessDay(now, days + 1)
+    }, 1);
+  } catch (error) {
+    console.error('Error fetching upcoming renewals:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get renewals whose date has already passed, most overdue first
+router.get('/overdue', async (req, res) => {
+  try {
+    await findRenewals(req, res, { $lt: startOfBusinessDay() }, 1);
+  } catch (error) {
+    console.error('Error fetching overdue renewals:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+export default router;
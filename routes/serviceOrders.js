@@ -0,0 +1,291 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { body, validationResult } from 'express-validator';
+import ServiceOrder from '../models/ServiceOrder.js';
+import { loadCustomer } from '../middleware/loadCustomer.js';
+import { diffDocuments, recordAudit, getHistory } from '../utils/audit.js';
+import { resolveService } from '../utils/serviceOrders.js';
+import { syncCustomerFromOrder } from '../utils/serviceMirror.js';
+import { runInTransaction } from '../utils/transaction.js';
+import { applyCatalogDefaults, describeOverrides } from '../utils/serviceCatalog.js';
+import { applyDeliveryTransition, getStageDurations, DELIVERY_STATUSES } from '../utils/deliveryWorkflow.js';
+
+// Mounted at /api/customers/:id/orders
+const router = express.Router({ mergeParams: true });
+
+router.use(loadCustomer);
+
+// Fields that can be written on an order besides the service references
+const ORDER_FIELDS = [
+  'serviceNumber',
+  'fees',
+  'gstStatus',
+  'deliveryDate',
+  'nextRenewalDate',
+  'deliveryStatus',
+  'notes'
+];
+
+const orderValidators = [
+  body('serviceNumber').optional({ nullable: true }).trim().isString(),
+  body('fees').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Fees cannot be negative'),
+  body('gstStatus').optional().isIn(['Paid', 'Not Paid', 'Pay Later'])
+    .withMessage('GST status must be Paid, Not Paid or Pay Later'),
+  body('deliveryStatus').optional().isIn(DELIVERY_STATUSES)
+    .withMessage(`Delivery status must be one of: ${DELIVERY_STATUSES.join(', ')}`),
+  body('deliveryDate').optional({ nullable: true, checkFalsy: true }).isISO8601()
+    .withMessage('Delivery date must be a valid date'),
+  body('nextRenewalDate').optional({ nullable: true, checkFalsy: true }).isISO8601()
+    .withMessage('Next renewal date must be a valid date'),
+  body('notes').optional({ nullable: true }).trim().isString()
+];
+
+const pickOrderFields = (body) => {
+  const data = {};
+  ORDER_FIELDS.forEach(field => {
+    if (body[field] === undefined) return;
+    data[field] = body[field] === '' ? null : body[field];
+  });
+  return data;
+};
+
+// Load the order named by :orderId, making sure it belongs to the customer
+const loadOrder = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.orderId)) {
+    res.status(400).json({ error: 'Invalid order ID format' });
+    return null;
+  }
+
+  const order = await ServiceOrder.findOne({ _id: req.params.orderId, customer: req.customer._id });
+  if (!order) {
+    res.status(404).json({ error: 'Order not found' });
+    return null;
+  }
+  return order;
+};
+
+// Get all orders of a customer, newest first
+router.get('/', async (req, res) => {
+  try {
+    const orders = await ServiceOrder.find({ customer: req.customer._id }).sort({ createdAt: -1 });
+    res.json(orders);
+  } catch (error) {
+    console.error('Error fetching orders:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get a single order
+router.get('/:orderId', async (req, res) => {
+  try {
+    const order = await loadOrder(req, res);
+    if (!order) return;
+    res.json(order);
+  } catch (error) {
+    console.error('Error fetching order:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get the change history of an order
+router.get('/:orderId/history', async (req, res) => {
+  try {
+    const order = await loadOrder(req, res);
+    if (!order) return;
+    res.json(await getHistory('ServiceOrder', order._id));
+  } catch (error) {
+    console.error('Error fetching order history:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Create a new order for the customer
+router.post(
+  '/',
+  [
+    body('serviceCategory').notEmpty().withMessage('Service category is required'),
+    ...orderValidators
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { service, subcategory, errors: serviceErrors } = await resolveService(
+        req.body.serviceCategory,
+        req.body.serviceSubCategory
+      );
+      if (serviceErrors.length > 0) {
+        return res.status(400).json({ error: 'Validation failed', errors: serviceErrors });
+      }
+
+      // Fees and delivery date default to the service catalog
+      const { data, overrides } = applyCatalogDefaults(pickOrderFields(req.body), subcategory);
+
+      const order = await ServiceOrder.create({
+        ...data,
+        ...service,
+        catalogOverrides: overrides,
+        customer: req.customer._id,
+        createdBy: req.user._id,
+        updatedBy: req.user._id
+      });
+
+      await recordAudit({
+        entityType: 'ServiceOrder',
+        entityId: order._id,
+        action: 'create',
+        changes: diffDocuments({}, order.toObject({ virtuals: false })),
+        user: req.user,
+        note: describeOverrides(overrides)
+      });
+
+      res.status(201).json(order);
+    } catch (error) {
+      console.error('Error creating order:', error);
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: error.message
+        });
+      }
+      res.status(500).json({ error: 'Failed to create order' });
+    }
+  }
+);
+
+// Update an order
+router.put('/:orderId', orderValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const order = await loadOrder(req, res);
+    if (!order) return;
+
+    // Delivery status only changes through POST /:orderId/delivery-status
+    if (req.body.deliveryStatus !== undefined && req.body.deliveryStatus !== order.deliveryStatus) {
+      return res.status(400).json({
+        error: 'Delivery status cannot be edited directly. Use the delivery status transition endpoint.'
+      });
+    }
+
+    const before = order.toObject({ virtuals: false });
+    const updates = pickOrderFields(req.body);
+    delete updates.deliveryStatus;
+
+    if (req.body.serviceCategory !== undefined || req.body.serviceSubCategory !== undefined) {
+      const { service, errors: serviceErrors } = await resolveService(
+        req.body.serviceCategory !== undefined ? req.body.serviceCategory : order.serviceCategory,
+        req.body.serviceSubCategory !== undefined ? req.body.serviceSubCategory : order.serviceSubCategory
+      );
+      if (serviceErrors.length > 0) {
+        return res.status(400).json({ error: 'Validation failed', errors: serviceErrors });
+      }
+      Object.assign(updates, service);
+    }
+
+    order.set(updates);
+    order.updatedBy = req.user._id;
+    // The primary order's service is also stored on the customer
+    await runInTransaction(async (session) => {
+      await order.save({ session });
+      await syncCustomerFromOrder(order, session);
+    });
+
+    const changes = diffDocuments(before, order.toObject({ virtuals: false }));
+    if (changes.length > 0) {
+      await recordAudit({
+        entityType: 'ServiceOrder',
+        entityId: order._id,
+        action: 'update',
+        changes,
+        user: req.user
+      });
+    }
+
+    res.json(order);
+  } catch (error) {
+    console.error('Error updating order:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.message
+      });
+    }
+    res.status(500).json({ error: 'Failed to update order' });
+  }
+});
+
+// Move an order's delivery status through the workflow
+router.post('/:orderId/delivery-status', async (req, res) => {
+  try {
+    const order = await loadOrder(req, res);
+    if (!order) return;
+
+    const problem = await applyDeliveryTransition(order, 'ServiceOrder', req.body.status, {
+      user: req.user,
+      reason: req.body.reason
+    });
+    if (problem) {
+      return res.status(problem.statusCode).json({ error: problem.error });
+    }
+
+    res.json(order);
+  } catch (error) {
+    console.error('Error changing order delivery status:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get the delivery status timeline of an order with time spent in each stage
+router.get('/:orderId/delivery-timeline', async (req, res) => {
+  try {
+    const order = await loadOrder(req, res);
+    if (!order) return;
+
+    await order.populate('deliveryHistory.by', 'name email');
+
+    res.json({
+      deliveryStatus: order.deliveryStatus,
+      ...getStageDurations(order.deliveryHistory)
+    });
+  } catch (error) {
+    console.error('Error fetching order delivery timeline:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Delete an order (moves it to the trash)
+router.delete('/:orderId', async (req, res) => {
+  try {
+    const order = await loadOrder(req, res);
+    if (!order) return;
+
+    if (order.primary) {
+      return res.status(400).json({
+        error: 'This is the service the customer was created with. Delete the customer instead.'
+      });
+    }
+
+    await order.softDelete(req.user);
+
+    await recordAudit({
+      entityType: 'ServiceOrder',
+      entityId: order._id,
+      action: 'delete',
+      user: req.user
+    });
+
+    res.json({ message: 'Order moved to trash' });
+  } catch (error) {
+    console.error('Error deleting order:', error);
+    res.status(500).json({ error: 'Failed to delete order' });
+  }
+});
+
+export default router;
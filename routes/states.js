@@ -0,0 +1,11 @@
+import express from 'express';
+import { INDIAN_STATES } from '../utils/indianStates.js';
+
+const router = express.Router();
+
+// Get the Indian states and union territories accepted in customer records
+router.get('/', (req, res) => {
+  res.json(INDIAN_STATES.map(({ code, name, type }) => ({ code, name, type })));
+});
+
+export default router;
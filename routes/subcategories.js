@@ -3,9 +3,36 @@ import { body, param, validationResult } from 'express-validator';
 import mongoose from 'mongoose';
 import SubCategory from '../models/SubCategory.js';
 import Category from '../models/Category.js';
+import { authorize } from '../middleware/auth.js';
+import { purgeSubCategory } from '../utils/trash.js';
+import { CATALOG_FIELDS } from '../utils/serviceCatalog.js';
+import { getSubCategoryUsage, deleteSubCategory } from '../utils/subcategoryDeletion.js';
+import { startCatalogSync } from '../utils/catalogSync.js';
 
 const router = express.Router();
 
+// Validation for the service catalog fields of a subcategory
+const catalogValidators = [
+  body('defaultGovernmentFee').optional({ nullable: true }).isFloat({ min: 0 })
+    .withMessage('Default government fee must be a non-negative number'),
+  body('defaultServiceCharge').optional({ nullable: true }).isFloat({ min: 0 })
+    .withMessage('Default service charge must be a non-negative number'),
+  body('gstApplicable').optional().isBoolean().withMessage('gstApplicable must be true or false'),
+  body('turnaroundDays').optional({ nullable: true }).isInt({ min: 0 })
+    .withMessage('Turnaround days must be a non-negative whole number'),
+  body('requiredDocuments').optional().isArray().withMessage('Required documents must be a list'),
+  body('requiredDocuments.*').trim().notEmpty().withMessage('Required document names cannot be empty')
+];
+
+// Catalog fields present in the request body
+const pickCatalogFields = (body) => {
+  const data = {};
+  CATALOG_FIELDS.forEach(field => {
+    if (body[field] !== undefined) data[field] = body[field] === '' ? null : body[field];
+  });
+  return data;
+};
+
 // Get all subcategories with category details
 router.get('/', async (req, res) => {
   try {
@@ -21,6 +48,22 @@ router.get('/', async (req, res) => {
   }
 });
 
+// Get subcategories in the trash
+router.get('/trash', async (req, res) => {
+  try {
+    const subcategories = await SubCategory.findDeleted()
+      .sort({ deletedAt: -1 })
+      .populate({ path: 'category', select: 'name url', options: { withDeleted: true } });
+    res.json(subcategories);
+  } catch (error) {
+    console.error('Error fetching deleted subcategories:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch subcategories',
+      details: error.message
+    });
+  }
+});
+
 // Get subcategory by ID
 router.get('/:id', async (req, res) => {
   try {
@@ -72,6 +115,7 @@ router.get('/category/:categoryId', async (req, res) => {
 // Create a new subcategory
 router.post(
   '/',
+  authorize('admin'),
   [
     body('name').trim().notEmpty().withMessage('Subcategory name is required'),
     body('categoryId').notEmpty().withMessage('Category ID is required')
@@ -85,7 +129,8 @@ router.post(
         }
         return true;
       }),
-    body('description').optional().trim().isString()
+    body('description').optional().trim().isString(),
+    ...catalogValidators
   ],
   async (req, res) => {
     try {
@@ -96,22 +141,25 @@ router.post(
 
       const { name, categoryId, description } = req.body;
       
-      // Check if subcategory already exists in this category (case insensitive)
+      // Check if subcategory already exists in this category (case insensitive), including the trash
       const existingSubCategory = await SubCategory.findOne({ 
         name: { $regex: new RegExp(`^${name}$`, 'i') },
         category: categoryId
-      });
+      }).setOptions({ withDeleted: true });
       
       if (existingSubCategory) {
         return res.status(400).json({ 
-          error: 'A subcategory with this name already exists in the specified category' 
+          error: existingSubCategory.isDeleted()
+            ? 'A subcategory with this name is in the trash. Restore it instead.'
+            : 'A subcategory with this name already exists in the specified category' 
         });
       }
 
       const subcategory = new SubCategory({
         name,
         category: categoryId,
-        description: description || ''
+        description: description || '',
+        ...pickCatalogFields(req.body)
       });
 
       await subcategory.save();
@@ -135,6 +183,7 @@ router.post(
 // Update a subcategory
 router.put(
   '/:id',
+  authorize('admin'),
   [
     param('id').custom((value) => {
       if (!mongoose.Types.ObjectId.isValid(value)) {
@@ -154,7 +203,8 @@ router.put(
         }
         return true;
       }),
-    body('description').optional().trim().isString()
+    body('description').optional().trim().isString(),
+    ...catalogValidators
   ],
   async (req, res) => {
     try {
@@ -178,28 +228,46 @@ router.put(
           _id: { $ne: subcategoryId },
           name: { $regex: new RegExp(`^${name}$`, 'i') },
           category: categoryId
-        });
+        }).setOptions({ withDeleted: true });
         
         if (existingSubCategory) {
           return res.status(400).json({ 
-            error: 'A subcategory with this name already exists in the specified category' 
+            error: existingSubCategory.isDeleted()
+              ? 'A subcategory with this name is in the trash'
+              : 'A subcategory with this name already exists in the specified category' 
           });
         }
       }
 
       // Update subcategory
+      const previousName = subcategory.name;
+      const previousCategory = subcategory.category.toString();
       subcategory.name = name;
       subcategory.category = categoryId;
       if (description !== undefined) subcategory.description = description;
+      subcategory.set(pickCatalogFields(req.body));
       
       await subcategory.save();
+
+      // Customers and orders store the subcategory and category names; a rename or a move
+      // to another category reaches them in the background
+      let syncJob = null;
+      if (subcategory.name !== previousName || subcategory.category.toString() !== previousCategory) {
+        syncJob = await startCatalogSync({
+          entityType: 'SubCategory',
+          entityId: subcategory._id,
+          fromName: previousName,
+          toName: subcategory.name,
+          user: req.user
+        });
+      }
       
       // Populate the category field before sending response
       const populatedSubcategory = await SubCategory
         .findById(subcategory._id)
         .populate('category', 'name url');
       
-      res.json(populatedSubcategory);
+      res.json({ ...populatedSubcategory.toJSON(), syncJob });
     } catch (error) {
       console.error('Error updating subcategory:', error);
       res.status(500).json({ 
@@ -210,29 +278,72 @@ router.put(
   }
 );
 
-// Delete a subcategory
-router.delete('/:id', async (req, res) => {
+// Customers and service orders that use a subcategory
+router.get('/:id/usage', async (req, res) => {
   try {
     if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
       return res.status(400).json({ error: 'Invalid subcategory ID' });
     }
-    
+
     const subcategory = await SubCategory.findById(req.params.id);
     if (!subcategory) {
       return res.status(404).json({ error: 'Subcategory not found' });
     }
+
+    res.json(await getSubCategoryUsage(subcategory));
+  } catch (error) {
+    console.error('Error fetching subcategory usage:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch subcategory usage',
+      details: error.message
+    });
+  }
+});
+
+// Delete a subcategory. One that is in use needs targetSubCategoryId (body or query): another
+// subcategory of the same category that its customers and orders move to.
+router.delete('/:id', authorize('admin'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid subcategory ID' });
+    }
     
-    // Check if subcategory is being used in any customers
-    // Note: You'll need to implement this check based on your Customer model
-    // const customerCount = await Customer.countDocuments({ 'services.subCategory': req.params.id });
-    // if (customerCount > 0) {
-    //   return res.status(400).json({ 
-    //     error: 'Cannot delete subcategory as it is being used by one or more customers' 
-    //   });
-    // }
+    const subcategory = await SubCategory.findById(req.params.id);
+    if (!subcategory) {
+      return res.status(404).json({ error: 'Subcategory not found' });
+    }
     
-    await SubCategory.findByIdAndDelete(req.params.id);
-    res.json({ message: 'Subcategory deleted successfully' });
+    const targetId = req.body.targetSubCategoryId || req.query.targetSubCategoryId;
+    if (!targetId) {
+      const usage = await getSubCategoryUsage(subcategory);
+      if (usage.inUse) {
+        return res.status(409).json({
+          error: 'Subcategory is in use. Delete with targetSubCategoryId to move its customers to another subcategory.',
+          usage
+        });
+      }
+
+      await subcategory.softDelete(req.user);
+      return res.json({ message: 'Subcategory moved to trash' });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(targetId)) {
+      return res.status(400).json({ error: 'Invalid target subcategory ID' });
+    }
+    if (subcategory._id.equals(targetId)) {
+      return res.status(400).json({ error: 'The target subcategory must be a different subcategory' });
+    }
+
+    const target = await SubCategory.findById(targetId);
+    if (!target) {
+      return res.status(400).json({ error: 'Target subcategory not found' });
+    }
+    if (!target.category.equals(subcategory.category)) {
+      return res.status(400).json({ error: 'The target subcategory must belong to the same category' });
+    }
+
+    const result = await deleteSubCategory(subcategory, { targetSubCategory: target, user: req.user });
+    res.json({ message: 'Subcategory moved to trash', ...result });
   } catch (error) {
     console.error('Error deleting subcategory:', error);
     res.status(500).json({ 
@@ -242,4 +353,65 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
+// Restore a subcategory from the trash
+router.post('/:id/restore', authorize('admin'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid subcategory ID' });
+    }
+
+    const subcategory = await SubCategory.findDeletedById(req.params.id);
+    if (!subcategory) {
+      return res.status(404).json({ error: 'Subcategory not found in trash' });
+    }
+
+    // Its customers and orders now use the subcategory it was merged into
+    if (subcategory.mergedInto) {
+      return res.status(400).json({
+        error: `This subcategory was merged into subcategory ${subcategory.mergedInto} and cannot be restored`
+      });
+    }
+
+    // The parent category has to be active before its subcategories can come back
+    const category = await Category.findById(subcategory.category);
+    if (!category) {
+      return res.status(400).json({ 
+        error: 'The parent category of this subcategory is deleted. Restore the category first.' 
+      });
+    }
+
+    await subcategory.restore();
+    res.json(subcategory);
+  } catch (error) {
+    console.error('Error restoring subcategory:', error);
+    res.status(500).json({ 
+      error: 'Failed to restore subcategory',
+      details: error.message
+    });
+  }
+});
+
+// Permanently delete a subcategory from the trash
+router.delete('/:id/purge', authorize('admin'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid subcategory ID' });
+    }
+
+    const subcategory = await SubCategory.findDeletedById(req.params.id);
+    if (!subcategory) {
+      return res.status(404).json({ error: 'Subcategory not found in trash' });
+    }
+
+    await purgeSubCategory(subcategory);
+    res.json({ message: 'Subcategory permanently deleted' });
+  } catch (error) {
+    console.error('Error purging subcategory:', error);
+    res.status(500).json({ 
+      error: 'Failed to purge subcategory',
+      details: error.message
+    });
+  }
+});
+
 export default router;
@@ -0,0 +1,188 @@
+import assert from 'assert/strict';
+import express from 'express';
+import mongoose from 'mongoose';
+import customerRoutes from './routes/customers.js';
+
+// Regression checks for customer input validation: malformed requests must be answered
+// with 400 and field-level errors. Validation runs before any database access, so this
+// runs without MongoDB: node test-customer-validation.js
+
+// Fail fast instead of waiting for a connection if a request ever reaches the database
+mongoose.set('bufferCommands', false);
+
+const VALID_ID = new mongoose.Types.ObjectId().toString();
+
+const validCustomer = {
+  name: 'Ramesh Kumar',
+  phone: '9876543210',
+  address: '12 Gandhi Nagar, Chennai',
+  serviceCategory: VALID_ID
+};
+
+const cases = [
+  {
+    name: 'create with an empty body',
+    method: 'POST',
+    path: '/',
+    body: {},
+    fields: ['name', 'phone', 'address', 'serviceCategory']
+  },
+  {
+    name: 'create with a short phone number',
+    method: 'POST',
+    path: '/',
+    body: { ...validCustomer, phone: '12345' },
+    fields: ['phone']
+  },
+  {
+    name: 'create with a non-string phone number',
+    method: 'POST',
+    path: '/',
+    body: { ...validCustomer, phone: { $gt: '' } },
+    fields: ['phone']
+  },
+  {
+    name: 'create with a blank name',
+    method: 'POST',
+    path: '/',
+    body: { ...validCustomer, name: '   ' },
+    fields: ['name']
+  },
+  {
+    name: 'create with malformed category and subcategory IDs',
+    method: 'POST',
+    path: '/',
+    body: { ...validCustomer, serviceCategory: 'passport', serviceSubCategory: 'fresh' },
+    fields: ['serviceCategory', 'serviceSubCategory']
+  },
+  {
+    name: 'create with bad optional fields',
+    method: 'POST',
+    path: '/',
+    body: {
+      ...validCustomer,
+      email: 'not-an-email',
+      dateOfBirth: '2999-01-01',
+      state: 'Atlantis',
+      zipCode: '12AB',
+      status: 'Unknown',
+      fees: -10,
+      gstStatus: 'Maybe',
+      gstNumber: '27AAPFU0939F1ZA',
+      deliveryDate: 'next week',
+      deliveryStatus: 'Lost'
+    },
+    fields: [
+      'email', 'dateOfBirth', 'state', 'zipCode', 'status', 'fees',
+      'gstStatus', 'gstNumber', 'deliveryDate', 'deliveryStatus'
+    ]
+  },
+  {
+    name: 'update with a bad phone number and PIN code',
+    method: 'PUT',
+    path: `/${VALID_ID}`,
+    body: { phone: 'call me', zipCode: '000000' },
+    fields: ['phone', 'zipCode']
+  },
+  {
+    name: 'update with an empty name',
+    method: 'PUT',
+    path: `/${VALID_ID}`,
+    body: { name: '' },
+    fields: ['name']
+  },
+  {
+    name: 'merge without a valid source customer',
+    method: 'POST',
+    path: `/${VALID_ID}/merge`,
+    body: { sourceId: 'nope', takeFromSource: ['password'] },
+    fields: ['sourceId', 'takeFromSource[0]']
+  },
+  {
+    name: 'get with a malformed customer ID',
+    method: 'GET',
+    path: '/not-an-id',
+    error: 'Invalid customer ID format'
+  },
+  {
+    name: 'delete with a malformed customer ID',
+    method: 'DELETE',
+    path: '/not-an-id',
+    error: 'Invalid customer ID format'
+  },
+  {
+    name: 'bulk without customers or a known operation',
+    method: 'POST',
+    path: '/bulk',
+    body: { operation: 'archive' },
+    fields: ['operation', 'ids']
+  },
+  {
+    name: 'bulk with both ids and a filter and a bad operation value',
+    method: 'POST',
+    path: '/bulk',
+    body: { ids: [VALID_ID, 'nope'], filter: { status: 'Active' }, operation: 'shiftRenewal', days: 'soon' },
+    fields: ['ids[1]', 'filter', 'days']
+  },
+  {
+    name: 'bulk reassign without a valid category',
+    method: 'POST',
+    path: '/bulk',
+    body: { filter: {}, operation: 'reassignCategory', serviceCategory: 'passport', dryRun: 'maybe' },
+    fields: ['filter', 'serviceCategory', 'dryRun']
+  },
+  {
+    name: 'list with unknown filters and sort',
+    method: 'GET',
+    path: '/?status=Unknown&sortBy=password&page=0',
+    fields: ['status', 'sortBy', 'page']
+  }
+];
+
+async function testCustomerValidation() {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = { _id: new mongoose.Types.ObjectId(), role: 'admin' };
+    next();
+  });
+  app.use('/api/customers', customerRoutes);
+
+  const server = app.listen(0);
+  const baseUrl = `http://127.0.0.1:${server.address().port}/api/customers`;
+  let failures = 0;
+
+  for (const testCase of cases) {
+    try {
+      const response = await fetch(`${baseUrl}${testCase.path}`, {
+        method: testCase.method,
+        headers: { 'Content-Type': 'application/json' },
+        body: testCase.body ? JSON.stringify(testCase.body) : undefined
+      });
+      const data = await response.json();
+
+      assert.equal(response.status, 400, `expected 400, got ${response.status}: ${JSON.stringify(data)}`);
+      if (testCase.error) {
+        assert.equal(data.error, testCase.error);
+      }
+      if (testCase.fields) {
+        assert.ok(Array.isArray(data.errors), `expected field errors, got ${JSON.stringify(data)}`);
+        const params = data.errors.map(error => error.param);
+        testCase.fields.forEach(field => {
+          assert.ok(params.includes(field), `missing error for ${field}; got ${params.join(', ')}`);
+        });
+        data.errors.forEach(error => assert.ok(error.msg, `error for ${error.param} has no message`));
+      }
+      console.log(`✅ ${testCase.name}`);
+    } catch (error) {
+      failures++;
+      console.error(`❌ ${testCase.name}: ${error.message}`);
+    }
+  }
+
+  server.close();
+  console.log(`\n${cases.length - failures} passed, ${failures} failed`);
+  process.exit(failures > 0 ? 1 : 0);
+}
+
+testCustomerValidation();
@@ -0,0 +1,126 @@
+import assert from 'assert/strict';
+import mongoose from 'mongoose';
+import Customer from './models/Customer.js';
+import { validateGstin } from './utils/gst.js';
+import { normalizeStateName } from './utils/indianStates.js';
+
+// Checks for GSTIN validation, state normalization and how the customer model applies them.
+// Nothing here touches the database: node test-gst-validation.js
+
+const TN_GSTIN = '33AABCT1332L1ZL';
+const MH_GSTIN = '27AAPFU0939F1ZV';
+
+// Validation errors of a customer document, by field
+const validationErrors = async (customer) => {
+  try {
+    await customer.validate();
+    return {};
+  } catch (error) {
+    return error.errors;
+  }
+};
+
+const validCustomer = {
+  name: 'Ramesh Kumar',
+  phone: '9876543210',
+  address: '12 Gandhi Nagar, Chennai',
+  serviceCategory: new mongoose.Types.ObjectId(),
+  serviceCategoryName: 'Passport'
+};
+
+// A customer as loaded from the database, so only changed fields count as modified
+const legacyCustomer = (fields) => Customer.hydrate({ _id: new mongoose.Types.ObjectId(), ...validCustomer, ...fields });
+
+const cases = [
+  {
+    name: 'valid GSTINs pass',
+    run: () => {
+      assert.equal(validateGstin(TN_GSTIN), null);
+      assert.equal(validateGstin(MH_GSTIN), null);
+      assert.equal(validateGstin(` ${TN_GSTIN.toLowerCase()} `), null);
+    }
+  },
+  {
+    name: 'GSTIN with a bad format, state code or check character',
+    run: () => {
+      assert.match(validateGstin('33AABCT1332L1Z'), /15 characters/);
+      assert.match(validateGstin('99AABCT1332L1ZL'), /state code 99/);
+      assert.match(validateGstin('33AABCT1332L1ZM'), /check character/);
+      assert.match(validateGstin(''), /15 characters/);
+    }
+  },
+  {
+    name: 'states are normalized from names, aliases and GST codes',
+    run: () => {
+      assert.equal(normalizeStateName('Tamil Nadu'), 'Tamil Nadu');
+      assert.equal(normalizeStateName('  tamil   nadu '), 'Tamil Nadu');
+      assert.equal(normalizeStateName('TN'), 'Tamil Nadu');
+      assert.equal(normalizeStateName('33'), 'Tamil Nadu');
+      assert.equal(normalizeStateName(27), 'Maharashtra');
+      assert.equal(normalizeStateName('Daman & Diu'), 'Dadra and Nagar Haveli and Daman and Diu');
+      assert.equal(normalizeStateName('25'), 'Dadra and Nagar Haveli and Daman and Diu');
+    }
+  },
+  {
+    name: 'unknown states are not normalized',
+    run: () => {
+      assert.equal(normalizeStateName('Atlantis'), null);
+      assert.equal(normalizeStateName(''), null);
+      assert.equal(normalizeStateName(null), null);
+      assert.equal(normalizeStateName('99'), null);
+    }
+  },
+  {
+    name: 'new customer: state normalized, bad PIN code and mismatched GSTIN rejected',
+    run: async () => {
+      const customer = new Customer({
+        ...validCustomer,
+        state: 'tn',
+        zipCode: '06001',
+        gstNumber: MH_GSTIN
+      });
+      const errors = await validationErrors(customer);
+      assert.equal(customer.state, 'Tamil Nadu');
+      assert.deepEqual(Object.keys(errors).sort(), ['gstNumber', 'zipCode']);
+      assert.match(errors.gstNumber.message, /registered in Maharashtra/);
+    }
+  },
+  {
+    name: 'legacy customer with old address values can still be saved',
+    run: async () => {
+      const customer = legacyCustomer({ state: 'Madras', zipCode: 'N/A', gstNumber: 'PENDING' });
+      customer.notes = 'Called about renewal';
+      assert.deepEqual(Object.keys(await validationErrors(customer)), []);
+      assert.equal(customer.state, 'Madras');
+    }
+  },
+  {
+    name: 'legacy customer: changed address values are checked',
+    run: async () => {
+      const customer = legacyCustomer({ state: 'Madras', zipCode: 'N/A', gstNumber: 'PENDING' });
+      customer.state = 'Atlantis';
+      customer.zipCode = '1234';
+      const errors = await validationErrors(customer);
+      assert.deepEqual(Object.keys(errors).sort(), ['state', 'zipCode']);
+    }
+  }
+];
+
+async function testGstValidation() {
+  let failures = 0;
+
+  for (const testCase of cases) {
+    try {
+      await testCase.run();
+      console.log(`✅ ${testCase.name}`);
+    } catch (error) {
+      failures++;
+      console.error(`❌ ${testCase.name}: ${error.message}`);
+    }
+  }
+
+  console.log(`\n${cases.length - failures} passed, ${failures} failed`);
+  process.exit(failures > 0 ? 1 : 0);
+}
+
+testGstValidation();
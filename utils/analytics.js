@@ -0,0 +1,214 @@
+import Customer from '../models/Customer.js';
+import ServiceOrder from '../models/ServiceOrder.js';
+import { buildCustomerFilter, lookupOrderCustomer, toOrderMatch } from './customerQuery.js';
+import { roundMoney, getBusinessTimezone } from './gst.js';
+
+export const REVENUE_GROUPS = ['category', 'subcategory', 'month'];
+
+// Build the match stages for a report: `match` for customer reports and `orderMatch` for
+// reports over service orders (revenue, GST, top services), which count every order of a
+// customer. `from`/`to` bound the creation date of the customer or the order; the list
+// endpoint's filters (status, serviceCategory, city, ...) are accepted too.
+// Returns { match, orderMatch, errors }.
+export const buildAnalyticsMatch = (query = {}) => {
+  const { from, to, ...rest } = query;
+  const { filter, errors: filterErrors } = buildCustomerFilter({
+    ...rest,
+    createdAtFrom: from || rest.createdAtFrom,
+    createdAtTo: to || rest.createdAtTo
+  });
+
+  // Report errors against the parameter the caller actually sent
+  const aliases = { createdAtFrom: from ? 'from' : null, createdAtTo: to ? 'to' : null };
+  const errors = filterErrors.map(error => (aliases[error.param]
+    ? { ...error, param: aliases[error.param], msg: error.msg.replace(error.param, aliases[error.param]) }
+    : error));
+  if (errors.length > 0) return { match: {}, orderMatch: {}, errors };
+
+  // Aggregation pipelines skip schema casting, so let a query cast the IDs and dates
+  const match = Customer.find(filter).cast(Customer);
+  const { createdAt, ...customerFilter } = match;
+  const orderMatch = { ...toOrderMatch(customerFilter), ...(createdAt ? { createdAt } : {}) };
+  return { match, orderMatch, errors };
+};
+
+// Service orders of active customers that match a report's orderMatch
+const matchOrders = (orderMatch) => [...lookupOrderCustomer(), { $match: orderMatch }];
+
+// Turn the `customerIds` set of grouped orders into the number of distinct customers
+const countCustomers = [{ $set: { customers: { $size: '$customerIds' } } }, { $unset: 'customerIds' }];
+
+const revenueGroupStages = {
+  category: [
+    {
+      $group: {
+        _id: '$serviceCategory',
+        name: { $last: '$serviceCategoryName' },
+        revenue: { $sum: { $ifNull: ['$fees', 0] } },
+        customerIds: { $addToSet: '$customer._id' },
+        orders: { $sum: 1 }
+      }
+    },
+    ...countCustomers,
+    { $sort: { revenue: -1, name: 1 } }
+  ],
+  subcategory: [
+    {
+      $group: {
+        _id: { category: '$serviceCategory', subCategory: '$serviceSubCategory' },
+        categoryName: { $last: '$serviceCategoryName' },
+        name: { $last: '$serviceSubCategoryName' },
+        revenue: { $sum: { $ifNull: ['$fees', 0] } },
+        customerIds: { $addToSet: '$customer._id' },
+        orders: { $sum: 1 }
+      }
+    },
+    ...countCustomers,
+    { $sort: { revenue: -1, categoryName: 1, name: 1 } }
+  ],
+  month: (timezone) => [
+    {
+      $group: {
+        _id: { $dateToString: { format: '%Y-%m', date: '$createdAt', timezone } },
+        revenue: { $sum: { $ifNull: ['$fees', 0] } },
+        customerIds: { $addToSet: '$customer._id' },
+        orders: { $sum: 1 }
+      }
+    },
+    ...countCustomers,
+    { $sort: { _id: 1 } }
+  ]
+};
+
+// Sum of service order fees grouped by category, subcategory or month (of the order)
+export const getRevenue = async (orderMatch, groupBy = 'category') => {
+  const stages = groupBy === 'month'
+    ? revenueGroupStages.month(getBusinessTimezone())
+    : revenueGroupStages[groupBy];
+  const rows = await ServiceOrder.aggregate([...matchOrders(orderMatch), ...stages]);
+
+  return rows.map(row => {
+    const revenue = roundMoney(row.revenue);
+    const counts = { customers: row.customers, orders: row.orders };
+    if (groupBy === 'month') return { month: row._id, revenue, ...counts };
+    if (groupBy === 'subcategory') {
+      return {
+        categoryId: row._id.category,
+        categoryName: row.categoryName,
+        subCategoryId: row._id.subCategory,
+        name: row.name || null,
+        revenue,
+        ...counts
+      };
+    }
+    return { categoryId: row._id, name: row.name, revenue, ...counts };
+  });
+};
+
+// Turn [{ _id, count }] into { value: count }, including values with no customers
+const toCounts = (rows, values) => {
+  const counts = Object.fromEntries(values.map(value => [value, 0]));
+  rows.forEach(row => {
+    if (row._id !== null && row._id !== undefined) counts[row._id] = row.count;
+  });
+  return counts;
+};
+
+// Customer counts by status and by delivery status
+export const getStatusCounts = async (match) => {
+  const [result] = await Customer.aggregate([
+    { $match: match },
+    {
+      $facet: {
+        status: [{ $group: { _id: '$status', count: { $sum: 1 } } }],
+        deliveryStatus: [{ $group: { _id: '$deliveryStatus', count: { $sum: 1 } } }],
+        total: [{ $count: 'count' }]
+      }
+    }
+  ]);
+
+  return {
+    total: result.total[0] ? result.total[0].count : 0,
+    status: toCounts(result.status, Customer.schema.path('status').enumValues),
+    deliveryStatus: toCounts(result.deliveryStatus, Customer.schema.path('deliveryStatus').enumValues)
+  };
+};
+
+// Service order count and fees per GST status, plus paid vs outstanding totals
+export const getGstSummary = async (orderMatch) => {
+  const rows = await ServiceOrder.aggregate([
+    ...matchOrders(orderMatch),
+    {
+      $group: {
+        _id: '$gstStatus',
+        customerIds: { $addToSet: '$customer._id' },
+        orders: { $sum: 1 },
+        fees: { $sum: { $ifNull: ['$fees', 0] } }
+      }
+    },
+    ...countCustomers
+  ]);
+
+  const byStatus = Object.fromEntries(ServiceOrder.schema.path('gstStatus').enumValues
+    .map(status => [status, { customers: 0, orders: 0, fees: 0 }]));
+  rows.forEach(row => {
+    if (row._id) byStatus[row._id] = { customers: row.customers, orders: row.orders, fees: roundMoney(row.fees) };
+  });
+
+  // A customer with orders in several GST statuses counts once per status
+  const unpaid = Object.keys(byStatus).filter(status => status !== 'Paid');
+  return {
+    byStatus,
+    paid: byStatus.Paid,
+    unpaid: {
+      customers: unpaid.reduce((sum, status) => sum + byStatus[status].customers, 0),
+      orders: unpaid.reduce((sum, status) => sum + byStatus[status].orders, 0),
+      fees: roundMoney(unpaid.reduce((sum, status) => sum + byStatus[status].fees, 0))
+    }
+  };
+};
+
+// Number of customers created on each day
+export const getNewCustomersPerDay = async (match) => {
+  const rows = await Customer.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt', timezone: getBusinessTimezone() } },
+        count: { $sum: 1 }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+  return rows.map(row => ({ date: row._id, count: row.count }));
+};
+
+// Most-used services (category + subcategory) by number of customers, over all their orders
+export const getTopServices = async (orderMatch, limit = 10) => {
+  const rows = await ServiceOrder.aggregate([
+    ...matchOrders(orderMatch),
+    {
+      $group: {
+        _id: { category: '$serviceCategory', subCategory: '$serviceSubCategory' },
+        categoryName: { $last: '$serviceCategoryName' },
+        subCategoryName: { $last: '$serviceSubCategoryName' },
+        customerIds: { $addToSet: '$customer._id' },
+        orders: { $sum: 1 },
+        revenue: { $sum: { $ifNull: ['$fees', 0] } }
+      }
+    },
+    ...countCustomers,
+    { $sort: { customers: -1, revenue: -1 } },
+    { $limit: limit }
+  ]);
+
+  return rows.map(row => ({
+    categoryId: row._id.category,
+    categoryName: row.categoryName,
+    subCategoryId: row._id.subCategory,
+    subCategoryName: row.subCategoryName || null,
+    customers: row.customers,
+    orders: row.orders,
+    revenue: roundMoney(row.revenue)
+  }));
+};
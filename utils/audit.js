@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+import AuditLog from '../models/AuditLog.js';
+
+// Fields that change on every save or are tracked on their own, and would only add noise
+// to the history
+const IGNORED_FIELDS = [
+  '_id', '__v', 'id', 'createdAt', 'updatedAt', 'createdBy', 'updatedBy', 'deliveryHistory', 'catalogOverrides'
+];
+
+// Convert a value into something that compares and stores cleanly (ObjectIds, dates)
+const normalizeValue = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map(normalizeValue);
+  if (typeof value === 'object' && value._id) return value._id.toString();
+  return value;
+};
+
+const isSameValue = (a, b) => JSON.stringify(normalizeValue(a)) === JSON.stringify(normalizeValue(b));
+
+// Compare two plain objects and list the fields whose values differ
+export const diffDocuments = (before = {}, after = {}) => {
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+  const changes = [];
+
+  fields.forEach(field => {
+    if (IGNORED_FIELDS.includes(field)) return;
+    if (!isSameValue(before[field], after[field])) {
+      changes.push({
+        field,
+        from: normalizeValue(before[field]),
+        to: normalizeValue(after[field])
+      });
+    }
+  });
+
+  return changes;
+};
+
+// Write an audit entry; failures are logged but never fail the request that triggered them
+export const recordAudit = async ({ entityType, entityId, action, changes = [], user = null, note = null }) => {
+  try {
+    return await AuditLog.create({
+      entityType,
+      entityId,
+      action,
+      changes,
+      user: user ? user._id || user : null,
+      note
+    });
+  } catch (error) {
+    console.error(`Error recording audit entry for ${entityType} ${entityId}:`, error);
+    return null;
+  }
+};
+
+// Audit entries recording the same change on many records, to write with AuditLog.insertMany
+export const buildAuditEntries = (entityType, ids, action, changes, user, note) => ids.map(entityId => ({
+  entityType,
+  entityId,
+  action,
+  changes,
+  user: user ? user._id : null,
+  note
+}));
+
+// Get the history of one entity, newest first
+export const getHistory = (entityType, entityId) => AuditLog.find({ entityType, entityId })
+  .sort({ createdAt: -1 })
+  .populate('user', 'name email role')
+  .lean();
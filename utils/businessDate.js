@@ -0,0 +1,71 @@
+// Calendar days in the business timezone, so "today" turns at midnight IST whatever the
+// server's timezone
+import { getBusinessTimezone } from './gst.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Year, month (1-12) and day of an instant in the business timezone
+export const getBusinessDay = (date = new Date()) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: getBusinessTimezone(),
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric'
+  }).formatToParts(new Date(date));
+  const part = (type) => Number(parts.find(item => item.type === type).value);
+  return { year: part('year'), month: part('month'), day: part('day') };
+};
+
+// How far the business timezone's wall clock is ahead of UTC at an instant
+const getOffset = (time) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: getBusinessTimezone(),
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(new Date(time));
+  const part = (type) => Number(parts.find(item => item.type === type).value);
+  const wallClock = Date.UTC(part('year'), part('month') - 1, part('day'), part('hour'), part('minute'), part('second'));
+  return wallClock - (time - (time % 1000));
+};
+
+// Midnight at the start of a calendar day in the business timezone. Days past the end of
+// the month roll over, so (2024, 4, 31) is 1 May.
+export const businessMidnight = (year, month, day) => {
+  const utcMidnight = Date.UTC(year, month - 1, day);
+  // Checked twice in case a daylight saving change falls between the two instants
+  const guess = utcMidnight - getOffset(utcMidnight);
+  return new Date(utcMidnight - getOffset(guess));
+};
+
+// Start of the business day an instant falls on, `days` days later
+export const startOfBusinessDay = (date = new Date(), days = 0) => {
+  const { year, month, day } = getBusinessDay(date);
+  return businessMidnight(year, month, day + days);
+};
+
+// Whole calendar days from one instant's business day to another's
+export const businessDaysBetween = (from, to) => {
+  const dayNumber = (date) => {
+    const { year, month, day } = getBusinessDay(date);
+    return Date.UTC(year, month - 1, day) / DAY_MS;
+  };
+  return dayNumber(to) - dayNumber(from);
+};
+
+// Bounds for a YYYY-MM-DD date given as a filter: its first instant in the business
+// timezone, and with `endOfDay` its last. Null when the text is not a bare date or names
+// a day the month doesn't have.
+export const parseBusinessDate = (text, { endOfDay = false } = {}) => {
+  const match = String(text).match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!match) return null;
+  const [, year, month, day] = match.map(Number);
+  if (new Date(Date.UTC(year, month - 1, day)).getUTCDate() !== day) return null;
+  return endOfDay
+    ? new Date(businessMidnight(year, month, day + 1).getTime() - 1)
+    : businessMidnight(year, month, day);
+};
@@ -0,0 +1,256 @@
+import Category from '../models/Category.js';
+import SubCategory from '../models/SubCategory.js';
+import Customer from '../models/Customer.js';
+import ServiceOrder from '../models/ServiceOrder.js';
+import CatalogSyncJob from '../models/CatalogSyncJob.js';
+import AuditLog from '../models/AuditLog.js';
+import { buildAuditEntries, recordAudit } from './audit.js';
+import { runInTransaction } from './transaction.js';
+
+const BATCH_SIZE = 500;
+
+// The reference field and the stored values that records using a category or subcategory
+// should have, as the catalog has them now. Null when the entry no longer exists.
+const getCatalogValues = async (entityType, entityId) => {
+  if (entityType === 'Category') {
+    const category = await Category.findById(entityId).setOptions({ withDeleted: true }).lean();
+    if (!category) return null;
+    return { field: 'serviceCategory', values: { serviceCategoryName: category.name } };
+  }
+
+  const subcategory = await SubCategory.findById(entityId).setOptions({ withDeleted: true }).lean();
+  if (!subcategory) return null;
+  const category = await Category.findById(subcategory.category).setOptions({ withDeleted: true }).lean();
+
+  const values = { serviceSubCategoryName: subcategory.name, serviceCategory: subcategory.category };
+  if (category) values.serviceCategoryName = category.name;
+  return { field: 'serviceSubCategory', values };
+};
+
+// Records (including those in the trash) that use the entry but store other values
+const outOfDateFilter = (entityId, { field, values }) => ({
+  [field]: entityId,
+  $or: Object.entries(values).map(([key, value]) => ({ [key]: { $ne: value } }))
+});
+
+// History entries for the customers of a batch whose service category changes (a
+// subcategory moved to another category), grouped by the category they leave
+const buildCategoryMoveEntries = (customers, values, { user, note }) => {
+  if (!values.serviceCategory) return [];
+  const to = values.serviceCategory.toString();
+
+  const idsByCategory = new Map();
+  customers.forEach(customer => {
+    const from = customer.serviceCategory ? customer.serviceCategory.toString() : null;
+    if (from === to) return;
+    if (!idsByCategory.has(from)) idsByCategory.set(from, []);
+    idsByCategory.get(from).push(customer._id);
+  });
+
+  return [...idsByCategory].flatMap(([from, ids]) => buildAuditEntries('Customer', ids, 'update',
+    [{ field: 'serviceCategory', from, to }], user, note));
+};
+
+// Update matching records in batches, reporting the number updated after each batch. With
+// `audit` ({ user, note }), customers moved to another category get a history entry, saved
+// in the same transaction as their batch.
+const syncInBatches = async (Model, filter, values, onBatch, audit = null) => {
+  for (;;) {
+    const batch = await Model.find(filter).setOptions({ withDeleted: true })
+      .select(['_id', 'serviceCategory']).limit(BATCH_SIZE).lean();
+    if (batch.length === 0) return;
+
+    const result = await runInTransaction(async (session) => {
+      const updated = await Model.updateMany({ _id: { $in: batch.map(record => record._id) } }, { $set: values })
+        .setOptions({ withDeleted: true }).session(session);
+      if (audit) {
+        await AuditLog.insertMany(buildCategoryMoveEntries(batch, values, audit), { session });
+      }
+      return updated;
+    });
+    await onBatch(result.modifiedCount);
+
+    // Records that still match after an update changed nothing would loop forever
+    if (result.modifiedCount === 0) return;
+  }
+};
+
+// Copy the catalog's current names onto every customer and order of the job's entry
+export const runCatalogSyncJob = async (job) => {
+  try {
+    const catalog = await getCatalogValues(job.entityType, job.entityId);
+    if (catalog) {
+      const filter = outOfDateFilter(job.entityId, catalog);
+      const [customers, orders] = await Promise.all([
+        Customer.countDocuments(filter).setOptions({ withDeleted: true }),
+        ServiceOrder.countDocuments(filter).setOptions({ withDeleted: true })
+      ]);
+      // A resumed job keeps what it already did
+      job.customersTotal = job.customersUpdated + customers;
+      job.ordersTotal = job.ordersUpdated + orders;
+      job.status = 'running';
+      await job.save();
+
+      const audit = {
+        user: job.startedBy ? { _id: job.startedBy } : null,
+        note: `Subcategory ${job.toName} moved to another category`
+      };
+      await syncInBatches(Customer, filter, catalog.values, async (count) => {
+        job.customersUpdated += count;
+        await job.save();
+      }, audit);
+      await syncInBatches(ServiceOrder, filter, catalog.values, async (count) => {
+        job.ordersUpdated += count;
+        await job.save();
+      });
+    }
+
+    job.status = 'completed';
+    job.completedAt = new Date();
+    await job.save();
+  } catch (error) {
+    console.error(`Error syncing catalog names for ${job.entityType} ${job.entityId}:`, error);
+    job.status = 'failed';
+    job.lastError = error.message;
+    await job.save().catch(saveError => console.error('Error saving catalog sync job:', saveError));
+  }
+  return job;
+};
+
+// Start updating the customers and orders of a renamed or moved category or subcategory in
+// the background. Returns the job right away; its progress is saved as it runs.
+export const startCatalogSync = async ({ entityType, entityId, fromName = null, toName = null, user = null }) => {
+  const job = await CatalogSyncJob.create({
+    entityType,
+    entityId,
+    fromName,
+    toName,
+    startedBy: user ? user._id : null
+  });
+
+  runCatalogSyncJob(job);
+  return job;
+};
+
+// Pick up jobs that were still running when the server stopped
+export const resumeCatalogSyncJobs = async () => {
+  try {
+    const jobs = await CatalogSyncJob.find({ status: 'running' }).sort({ createdAt: 1 });
+    for (const job of jobs) {
+      await runCatalogSyncJob(job);
+    }
+  } catch (error) {
+    console.error('Error resuming catalog sync jobs:', error);
+  }
+};
+
+const loadCatalog = async () => {
+  const [categories, subcategories] = await Promise.all([
+    Category.find().setOptions({ withDeleted: true }).lean(),
+    SubCategory.find().setOptions({ withDeleted: true }).lean()
+  ]);
+  return {
+    categories: new Map(categories.map(category => [category._id.toString(), category])),
+    subcategories: new Map(subcategories.map(subcategory => [subcategory._id.toString(), subcategory]))
+  };
+};
+
+const idString = (value) => (value ? value.toString() : null);
+
+// Problems with the service fields of one customer, and the update that fixes those that
+// can be fixed. When the subcategory belongs to another category, the subcategory wins.
+const checkCustomer = (customer, catalog) => {
+  const problems = [];
+  const fix = {};
+  const problem = (type, field, stored, expected, repairable) => {
+    problems.push({ type, field, stored: stored ?? null, expected: expected ?? null, repairable });
+    if (repairable) fix[field] = expected ?? null;
+  };
+
+  const subCategoryId = idString(customer.serviceSubCategory);
+  const subcategory = subCategoryId ? catalog.subcategories.get(subCategoryId) : null;
+  if (subCategoryId && !subcategory) {
+    problem('missing_subcategory', 'serviceSubCategory', subCategoryId, null, false);
+  }
+
+  let categoryId = idString(customer.serviceCategory);
+  if (subcategory && idString(subcategory.category) !== categoryId) {
+    problem('subcategory_category', 'serviceCategory', categoryId, idString(subcategory.category), true);
+    categoryId = idString(subcategory.category);
+  }
+
+  const category = categoryId ? catalog.categories.get(categoryId) : null;
+  if (!category) {
+    problem('missing_category', 'serviceCategory', categoryId, null, false);
+  } else if (customer.serviceCategoryName !== category.name) {
+    problem('category_name', 'serviceCategoryName', customer.serviceCategoryName, category.name, true);
+  }
+
+  if (subcategory && customer.serviceSubCategoryName !== subcategory.name) {
+    problem('subcategory_name', 'serviceSubCategoryName', customer.serviceSubCategoryName, subcategory.name, true);
+  } else if (!subCategoryId && customer.serviceSubCategoryName) {
+    problem('subcategory_name', 'serviceSubCategoryName', customer.serviceSubCategoryName, null, true);
+  }
+
+  return { problems, fix };
+};
+
+// Customers (including those in the trash) whose stored category and subcategory names, or
+// subcategory-to-category pairing, don't match the catalog. With repair, fixable problems
+// are fixed and recorded in each customer's history. Lists at most `limit` customers.
+export const checkCatalogConsistency = async ({
+  repair = false,
+  customerIds = null,
+  limit = 100,
+  user = null
+} = {}) => {
+  const catalog = await loadCatalog();
+  const filter = customerIds ? { _id: { $in: customerIds } } : {};
+  const cursor = Customer.find(filter)
+    .setOptions({ withDeleted: true })
+    .select('name serviceCategory serviceCategoryName serviceSubCategory serviceSubCategoryName deletedAt')
+    .lean()
+    .cursor();
+
+  const report = { checked: 0, inconsistent: 0, repairable: 0, repaired: 0, customers: [] };
+
+  for await (const customer of cursor) {
+    report.checked++;
+    const { problems, fix } = checkCustomer(customer, catalog);
+    if (problems.length === 0) continue;
+
+    report.inconsistent++;
+    const repairable = Object.keys(fix).length > 0;
+    if (repairable) report.repairable++;
+
+    if (repair && repairable) {
+      // The primary order stores the same service fields as the customer
+      await Customer.updateOne({ _id: customer._id }, { $set: fix }).setOptions({ withDeleted: true });
+      await ServiceOrder.updateOne({ customer: customer._id, primary: true }, { $set: fix })
+        .setOptions({ withDeleted: true });
+      await recordAudit({
+        entityType: 'Customer',
+        entityId: customer._id,
+        action: 'update',
+        changes: problems
+          .filter(item => item.repairable)
+          .map(item => ({ field: item.field, from: item.stored, to: item.expected })),
+        user,
+        note: 'Catalog consistency repair'
+      });
+      report.repaired++;
+    }
+
+    if (report.customers.length < limit) {
+      report.customers.push({
+        _id: customer._id,
+        name: customer.name,
+        deleted: Boolean(customer.deletedAt),
+        problems,
+        repaired: repair && repairable
+      });
+    }
+  }
+
+  return report;
+};
@@ -0,0 +1,184 @@
+import SubCategory from '../models/SubCategory.js';
+import Customer from '../models/Customer.js';
+import ServiceOrder from '../models/ServiceOrder.js';
+import AuditLog from '../models/AuditLog.js';
+import { buildAuditEntries, recordAudit } from './audit.js';
+import { runInTransaction } from './transaction.js';
+
+export const CATEGORY_DELETE_MODES = ['reassign', 'cascade'];
+
+// Active subcategories, customers and orders that use a category. With a target category,
+// also lists the subcategories whose name already exists there: active ones are merged into
+// it, while a same-named subcategory in the target's trash blocks the reassignment.
+export const getCategoryImpact = async (category, targetCategory = null) => {
+  const [subcategories, customers, orders] = await Promise.all([
+    SubCategory.find({ category: category._id }).select('name').sort({ name: 1 }).lean(),
+    Customer.countDocuments({ serviceCategory: category._id }),
+    ServiceOrder.countDocuments({ serviceCategory: category._id })
+  ]);
+
+  const impact = {
+    category: { _id: category._id, name: category.name },
+    subcategories: subcategories.length,
+    customers,
+    orders,
+    subcategoryNames: subcategories.map(subcategory => subcategory.name)
+  };
+
+  if (targetCategory) {
+    const conflicts = await findNameConflicts(subcategories, targetCategory);
+    impact.targetCategory = { _id: targetCategory._id, name: targetCategory.name };
+    impact.mergedSubcategories = conflicts
+      .filter(({ target }) => !target.deletedAt)
+      .map(({ source, target }) => ({ from: source.name, into: target.name }));
+    impact.trashedConflicts = conflicts
+      .filter(({ target }) => target.deletedAt)
+      .map(({ target }) => ({ _id: target._id, name: target.name, deletedAt: target.deletedAt }));
+  }
+
+  return impact;
+};
+
+// Subcategories that already exist (by name, case-insensitive) in the target category.
+// Trashed ones count: the unique name index covers the trash too.
+const findNameConflicts = async (subcategories, targetCategory, session = null) => {
+  const existing = await SubCategory.find({ category: targetCategory._id })
+    .setOptions({ withDeleted: true }).session(session).lean();
+  const byName = new Map(existing.map(subcategory => [subcategory.name.trim().toLowerCase(), subcategory]));
+  return subcategories
+    .filter(subcategory => byName.has(subcategory.name.trim().toLowerCase()))
+    .map(subcategory => ({ source: subcategory, target: byName.get(subcategory.name.trim().toLowerCase()) }));
+};
+
+// Move everything from `category` to `target`, then trash the category
+const reassignCategory = async (category, target, user, session) => {
+  const subcategories = await SubCategory.find({ category: category._id }).session(session).lean();
+  // The delete route refuses targets with same-named subcategories in the trash
+  const conflicts = (await findNameConflicts(subcategories, target, session))
+    .filter(({ target: existing }) => !existing.deletedAt);
+  const merged = new Set(conflicts.map(({ source }) => source._id.toString()));
+  const now = new Date();
+
+  // Same-named subcategories: their customers and orders join the target's subcategory
+  for (const { source, target: existing } of conflicts) {
+    const update = { $set: { serviceSubCategory: existing._id, serviceSubCategoryName: existing.name } };
+    await Customer.updateMany({ serviceSubCategory: source._id }, update)
+      .setOptions({ withDeleted: true }).session(session);
+    await ServiceOrder.updateMany({ serviceSubCategory: source._id }, update)
+      .setOptions({ withDeleted: true }).session(session);
+    await SubCategory.updateOne({ _id: source._id }, {
+      $set: { deletedAt: now, deletedBy: user ? user._id : null, mergedInto: existing._id }
+    }).session(session);
+  }
+
+  const moved = subcategories.filter(subcategory => !merged.has(subcategory._id.toString()));
+  await SubCategory.updateMany(
+    { _id: { $in: moved.map(subcategory => subcategory._id) } },
+    { $set: { category: target._id } }
+  ).session(session);
+
+  // Customers and orders in the trash move too, so a restore doesn't bring back a dangling reference
+  const customerIds = await Customer.find({ serviceCategory: category._id })
+    .setOptions({ withDeleted: true }).session(session).distinct('_id');
+  const serviceUpdate = { $set: { serviceCategory: target._id, serviceCategoryName: target.name } };
+  await Customer.updateMany({ _id: { $in: customerIds } }, serviceUpdate)
+    .setOptions({ withDeleted: true }).session(session);
+  const orders = await ServiceOrder.updateMany({ serviceCategory: category._id }, serviceUpdate)
+    .setOptions({ withDeleted: true }).session(session);
+
+  await AuditLog.insertMany(buildAuditEntries('Customer', customerIds, 'update',
+    [{ field: 'serviceCategory', from: category._id.toString(), to: target._id.toString() }],
+    user, `Category ${category.name} deleted; moved to ${target.name}`), { session });
+
+  category.deletedAt = now;
+  category.deletedBy = user ? user._id : null;
+  await category.save({ session, validateBeforeSave: false });
+
+  return {
+    mode: 'reassign',
+    targetCategory: { _id: target._id, name: target.name },
+    subcategoriesMoved: moved.length,
+    subcategoriesMerged: conflicts.length,
+    customersMoved: customerIds.length,
+    ordersMoved: orders.modifiedCount
+  };
+};
+
+// Trash the category with its subcategories, customers and orders. Everything gets the
+// category's deletedAt so restoring the category can bring the same records back.
+const cascadeCategory = async (category, user, session) => {
+  const now = new Date();
+  const trash = { $set: { deletedAt: now, deletedBy: user ? user._id : null } };
+
+  const subcategories = await SubCategory.updateMany({ category: category._id }, trash).session(session);
+  const customerIds = await Customer.find({ serviceCategory: category._id }).session(session).distinct('_id');
+  await Customer.updateMany({ _id: { $in: customerIds } }, trash).session(session);
+  const orders = await ServiceOrder.updateMany({
+    $or: [{ serviceCategory: category._id }, { customer: { $in: customerIds } }]
+  }, trash).session(session);
+
+  await AuditLog.insertMany(buildAuditEntries('Customer', customerIds, 'delete', [], user,
+    `Category ${category.name} deleted`), { session });
+
+  category.deletedAt = now;
+  category.deletedBy = user ? user._id : null;
+  await category.save({ session, validateBeforeSave: false });
+
+  return {
+    mode: 'cascade',
+    subcategoriesTrashed: subcategories.modifiedCount,
+    customersTrashed: customerIds.length,
+    ordersTrashed: orders.modifiedCount
+  };
+};
+
+// Delete a category in one transaction, either reassigning what uses it to `targetCategory`
+// or cascading everything into the trash. Returns a summary of what changed.
+export const deleteCategory = async (category, { mode, targetCategory = null, user = null }) => {
+  const result = await runInTransaction(session => (mode === 'reassign'
+    ? reassignCategory(category, targetCategory, user, session)
+    : cascadeCategory(category, user, session)));
+
+  await recordAudit({
+    entityType: 'Category',
+    entityId: category._id,
+    action: 'delete',
+    user,
+    note: mode === 'reassign' ? `Reassigned to ${targetCategory.name}` : 'Cascaded to trash'
+  });
+  return result;
+};
+
+// Restore a category with the subcategories, customers and orders a cascading delete
+// trashed together with it, in one transaction. Subcategories merged into another category
+// by a reassigning delete stay in the trash; their customers and orders have moved.
+export const restoreCategory = async (category, user = null) => runInTransaction(async (session) => {
+  const deletedAt = category.deletedAt;
+  const restore = { $set: { deletedAt: null, deletedBy: null } };
+
+  const customerIds = await Customer.find({ serviceCategory: category._id, deletedAt })
+    .session(session).distinct('_id');
+  const subcategories = await SubCategory.updateMany(
+    { category: category._id, deletedAt, mergedInto: null },
+    restore
+  ).session(session);
+  const customers = await Customer.updateMany({ _id: { $in: customerIds }, deletedAt }, restore)
+    .session(session);
+  const orders = await ServiceOrder.updateMany({
+    $or: [{ serviceCategory: category._id }, { customer: { $in: customerIds } }],
+    deletedAt
+  }, restore).session(session);
+
+  category.deletedAt = null;
+  category.deletedBy = null;
+  await category.save({ session, validateBeforeSave: false });
+
+  await AuditLog.insertMany(buildAuditEntries('Customer', customerIds, 'restore', [], user,
+    `Category ${category.name} restored`), { session });
+
+  return {
+    subcategoriesRestored: subcategories.modifiedCount,
+    customersRestored: customers.modifiedCount,
+    ordersRestored: orders.modifiedCount
+  };
+});
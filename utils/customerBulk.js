@@ -0,0 +1,210 @@
+import mongoose from 'mongoose';
+import { body } from 'express-validator';
+import Customer from '../models/Customer.js';
+import { diffDocuments } from './audit.js';
+import { buildCustomerFilter } from './customerQuery.js';
+import { resolveService } from './serviceOrders.js';
+import { DELIVERY_STATUSES, checkTransition, applyDeliveryTransition } from './deliveryWorkflow.js';
+import { updateCustomer, deleteCustomer, toFieldErrors } from './customerService.js';
+
+export const BULK_OPERATIONS = ['status', 'deliveryStatus', 'gstStatus', 'shiftRenewal', 'reassignCategory', 'delete'];
+
+// Most customers one bulk request may change
+export const MAX_BULK_ITEMS = 500;
+
+const enumValues = (field) => Customer.schema.path(field).enumValues;
+const isObjectId = (value) => mongoose.Types.ObjectId.isValid(value);
+const forOperation = (operation) => body('operation').equals(operation);
+
+// The request names the customers (ids, or a filter with the list endpoint's parameters),
+// the operation and the operation's own fields, e.g.
+// { "ids": [...], "operation": "status", "status": "Inactive" }
+// { "filter": { "serviceCategory": "..." }, "operation": "shiftRenewal", "days": 30, "dryRun": true }
+export const bulkOperationValidators = [
+  body('operation').isIn(BULK_OPERATIONS).withMessage(`Operation must be one of: ${BULK_OPERATIONS.join(', ')}`),
+  body('ids').if(body('filter').not().exists()).exists().withMessage('Provide customer ids or a filter'),
+  body('ids').optional().isArray({ min: 1, max: MAX_BULK_ITEMS })
+    .withMessage(`ids must be a list of 1 to ${MAX_BULK_ITEMS} customer IDs`),
+  body('ids.*').custom(isObjectId).withMessage('Invalid customer ID format'),
+  body('filter').if(body('ids').exists()).not().exists().withMessage('Provide either ids or a filter, not both'),
+  body('filter').optional().isObject().withMessage('filter must be an object of customer list filters').bail()
+    .custom(filter => Object.keys(filter).length > 0).withMessage('filter needs at least one condition'),
+  body('dryRun').optional().isBoolean().withMessage('dryRun must be true or false').toBoolean(),
+
+  body('status').if(forOperation('status')).isIn(enumValues('status'))
+    .withMessage(`Status must be one of: ${enumValues('status').join(', ')}`),
+  body('deliveryStatus').if(forOperation('deliveryStatus')).isIn(DELIVERY_STATUSES)
+    .withMessage(`Delivery status must be one of: ${DELIVERY_STATUSES.join(', ')}`),
+  body('reason').optional({ nullable: true }).isString().trim()
+    .isLength({ max: 500 }).withMessage('Reason cannot be more than 500 characters'),
+  body('gstStatus').if(forOperation('gstStatus')).isIn(enumValues('gstStatus'))
+    .withMessage(`GST status must be one of: ${enumValues('gstStatus').join(', ')}`),
+  body('days').if(forOperation('shiftRenewal')).isInt({ min: -3650, max: 3650 })
+    .withMessage('days must be a whole number of days between -3650 and 3650').bail()
+    .custom(value => Number(value) !== 0).withMessage('days cannot be 0').toInt(),
+  body('serviceCategory').if(forOperation('reassignCategory')).custom(isObjectId)
+    .withMessage('Invalid service category ID format'),
+  body('serviceSubCategory').if(forOperation('reassignCategory')).optional({ nullable: true, checkFalsy: true })
+    .custom(isObjectId).withMessage('Invalid service subcategory ID format')
+];
+
+// Compare ids with a missing (null or undefined) id counting as null
+const idOrNull = (value) => (value ? String(value) : null);
+
+const addDays = (date, days) => {
+  const shifted = new Date(date);
+  shifted.setDate(shifted.getDate() + days);
+  return shifted;
+};
+
+// The field changes an operation makes to one customer: { fields } for the customer
+// service, { skip } when there is nothing to do
+const FIELD_OPERATIONS = {
+  status: (customer, { status }) => (customer.status === status
+    ? { skip: `Status is already ${status}` }
+    : { fields: { status } }),
+
+  gstStatus: (customer, { gstStatus }) => (customer.gstStatus === gstStatus
+    ? { skip: `GST status is already ${gstStatus}` }
+    : { fields: { gstStatus } }),
+
+  shiftRenewal: (customer, { days }) => (customer.nextRenewalDate
+    ? { fields: { nextRenewalDate: addDays(customer.nextRenewalDate, days) } }
+    : { skip: 'Customer has no renewal date' }),
+
+  reassignCategory: (customer, { service }) => {
+    const sameService = idOrNull(customer.serviceCategory) === idOrNull(service.serviceCategory)
+      && idOrNull(customer.serviceSubCategory) === idOrNull(service.serviceSubCategory);
+    return sameService
+      ? { skip: 'Customer is already in this category' }
+      : { fields: service };
+  }
+};
+
+// Check the request's operation against the catalog once, before touching any customer.
+// Returns { params } for runBulkOperation, or { errors }.
+export const prepareBulkOperation = async (input) => {
+  const params = {
+    operation: input.operation,
+    status: input.status,
+    deliveryStatus: input.deliveryStatus,
+    reason: input.reason || null,
+    gstStatus: input.gstStatus,
+    days: input.days
+  };
+
+  if (input.operation === 'reassignCategory') {
+    const { service, errors } = await resolveService(input.serviceCategory, input.serviceSubCategory || null);
+    if (errors.length > 0) return { errors };
+    params.service = service;
+  }
+
+  return { params };
+};
+
+// The customers a bulk request names, plus the requested ids that don't exist (or are in the
+// trash). Returns { errors } when a filter is invalid or matches too many customers.
+export const findBulkCustomers = async ({ ids, filter: query }) => {
+  if (ids) {
+    const customers = await Customer.find({ _id: { $in: ids } });
+    const found = new Set(customers.map(customer => customer._id.toString()));
+    return { customers, missing: [...new Set(ids.map(String))].filter(id => !found.has(id)) };
+  }
+
+  const { filter, errors } = buildCustomerFilter(query);
+  if (errors.length > 0) {
+    return { errors: errors.map(error => ({ ...error, param: `filter.${error.param}` })) };
+  }
+
+  const total = await Customer.countDocuments(filter);
+  if (total > MAX_BULK_ITEMS) {
+    return {
+      errors: [{
+        param: 'filter',
+        msg: `The filter matches ${total} customers; narrow it to at most ${MAX_BULK_ITEMS}`,
+        value: query
+      }]
+    };
+  }
+
+  const customers = await Customer.find(filter).sort({ createdAt: 1 });
+  return { customers, missing: [] };
+};
+
+// Apply (or with dryRun only check) the operation on one customer
+const runOnCustomer = async (customer, params, { dryRun, user }) => {
+  const { operation } = params;
+
+  if (operation === 'deliveryStatus') {
+    const to = params.deliveryStatus;
+    const from = customer.deliveryStatus;
+    if (from === to) return { success: true, skipped: true, message: `Delivery status is already ${to}` };
+
+    const problem = dryRun
+      ? checkTransition(from, to, { user, reason: params.reason })
+      : await applyDeliveryTransition(customer, 'Customer', to, { user, reason: params.reason });
+    if (problem) return { success: false, error: problem.error };
+    return { success: true, changes: [{ field: 'deliveryStatus', from, to }] };
+  }
+
+  if (operation === 'delete') {
+    if (!dryRun) await deleteCustomer(customer, user);
+    return { success: true, changes: [] };
+  }
+
+  const { fields, skip } = FIELD_OPERATIONS[operation](customer, params);
+  if (skip) return { success: true, skipped: true, message: skip };
+
+  if (dryRun) {
+    const before = customer.toObject({ virtuals: false });
+    customer.set(fields);
+    await customer.validate();
+    return { success: true, changes: diffDocuments(before, customer.toObject({ virtuals: false })) };
+  }
+
+  const result = await updateCustomer(customer, fields, user);
+  if (result.errors) return { success: false, error: 'Validation failed', errors: result.errors };
+  if (result.error) return { success: false, error: result.error };
+  return { success: true, changes: result.changes };
+};
+
+// Run a prepared operation on each customer in turn. One customer failing doesn't stop the
+// others; every customer gets its own result. With dryRun nothing is saved.
+export const runBulkOperation = async (customers, missing, params, { dryRun = false, user }) => {
+  const report = {
+    operation: params.operation,
+    dryRun,
+    total: customers.length + missing.length,
+    succeeded: 0,
+    skipped: 0,
+    failed: 0,
+    results: []
+  };
+
+  missing.forEach(id => {
+    report.failed++;
+    report.results.push({ _id: id, success: false, error: 'Customer not found' });
+  });
+
+  for (const customer of customers) {
+    let outcome;
+    try {
+      outcome = await runOnCustomer(customer, params, { dryRun, user });
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        outcome = { success: false, error: 'Validation failed', errors: toFieldErrors(error) };
+      } else {
+        console.error(`Error running bulk ${params.operation} on customer ${customer._id}:`, error);
+        outcome = { success: false, error: 'Server error' };
+      }
+    }
+
+    if (outcome.skipped) report.skipped++;
+    else if (outcome.success) report.succeeded++;
+    else report.failed++;
+
+    report.results.push({ _id: customer._id, name: customer.name, ...outcome });
+  }
+
+  return report;
+};
@@ -0,0 +1,73 @@
+import crypto from 'crypto';
+import CustomerDocument from '../models/CustomerDocument.js';
+import { getStorage, getStorageName } from './documentStorage.js';
+
+// Accepted file types with their extension and the leading bytes every such file starts with
+export const DOCUMENT_MIME_TYPES = {
+  'application/pdf': { extension: '.pdf', matches: buffer => buffer.subarray(0, 5).toString('latin1') === '%PDF-' },
+  'image/jpeg': { extension: '.jpg', matches: buffer => buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff },
+  'image/png': {
+    extension: '.png',
+    matches: buffer => buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))
+  },
+  'image/webp': {
+    extension: '.webp',
+    matches: buffer => buffer.subarray(0, 4).toString('latin1') === 'RIFF' &&
+      buffer.subarray(8, 12).toString('latin1') === 'WEBP'
+  }
+};
+
+export const getMaxDocumentBytes = () => (parseInt(process.env.DOCUMENT_MAX_FILE_MB, 10) || 10) * 1024 * 1024;
+
+// Whether the file's contents really are the type it was uploaded as
+export const contentMatchesType = (buffer, mimeType) => {
+  const type = DOCUMENT_MIME_TYPES[mimeType];
+  return Boolean(type && buffer.length > 0 && type.matches(buffer));
+};
+
+// Store an uploaded file and record it against the customer
+export const saveDocument = async ({ customer, file, type, description, user }) => {
+  const storageName = getStorageName();
+  const storage = getStorage(storageName);
+  const storageKey = await storage.save(file.buffer, {
+    customerId: customer._id,
+    extension: DOCUMENT_MIME_TYPES[file.mimetype].extension
+  });
+
+  try {
+    return await CustomerDocument.create({
+      customer: customer._id,
+      type,
+      description,
+      originalName: file.originalname,
+      mimeType: file.mimetype,
+      size: file.size,
+      checksum: crypto.createHash('sha256').update(file.buffer).digest('hex'),
+      storage: storageName,
+      storageKey,
+      uploadedBy: user ? user._id : null
+    });
+  } catch (error) {
+    // Don't leave an orphaned file behind
+    await storage.remove(storageKey);
+    throw error;
+  }
+};
+
+// Open a stored document for reading
+export const readDocument = (document) => getStorage(document.storage).read(document.storageKey);
+
+// Remove a document's record and its stored file
+export const deleteDocument = async (document) => {
+  await CustomerDocument.deleteOne({ _id: document._id });
+  await getStorage(document.storage).remove(document.storageKey);
+};
+
+// Remove every document of a customer (when the customer is purged). Returns the count.
+export const deleteCustomerDocuments = async (customerId) => {
+  const documents = await CustomerDocument.find({ customer: customerId });
+  for (const document of documents) {
+    await deleteDocument(document);
+  }
+  return documents.length;
+};
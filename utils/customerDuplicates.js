@@ -0,0 +1,180 @@
+import Customer from '../models/Customer.js';
+import ServiceOrder from '../models/ServiceOrder.js';
+import Payment from '../models/Payment.js';
+import Invoice from '../models/Invoice.js';
+import Notification from '../models/Notification.js';
+import CustomerDocument from '../models/CustomerDocument.js';
+import { diffDocuments, recordAudit } from './audit.js';
+import { escapeRegex } from './customerQuery.js';
+import { syncPrimaryOrder } from './serviceMirror.js';
+import { normalizePhone } from './customerService.js';
+import { runInTransaction } from './transaction.js';
+
+export const DUPLICATE_REASONS = ['phone', 'email', 'name_dob'];
+
+// Customer fields a merge can take from the duplicate being merged in
+export const MERGEABLE_FIELDS = [
+  'name', 'dateOfBirth', 'email', 'phone', 'address', 'city', 'state', 'zipCode',
+  'serviceNumber', 'gstNumber', 'notes'
+];
+
+// Fields shown for each customer in duplicate reports
+const SUMMARY_FIELDS = 'name phone email dateOfBirth city serviceCategoryName serviceNumber createdAt';
+
+export const normalizeEmail = (value) => (value ? String(value).trim().toLowerCase() || null : null);
+
+// Lower case with punctuation dropped and runs of spaces collapsed ("R. Kumar" = "r kumar")
+export const normalizeName = (value) => {
+  const name = String(value || '').toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, ' ').replace(/\s+/g, ' ').trim();
+  return name || null;
+};
+
+const toDay = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString().slice(0, 10);
+};
+
+// The keys under which two customers count as likely duplicates
+export const getDuplicateKeys = (customer) => {
+  const keys = {};
+  const phone = customer.phone ? normalizePhone(customer.phone) : null;
+  const email = normalizeEmail(customer.email);
+  const name = normalizeName(customer.name);
+  const dateOfBirth = toDay(customer.dateOfBirth);
+
+  if (phone && /^[0-9]{10}$/.test(phone)) keys.phone = phone;
+  if (email) keys.email = email;
+  if (name && dateOfBirth) keys.name_dob = `${name}|${dateOfBirth}`;
+  return keys;
+};
+
+// Group all customers that share a normalized phone, email, or name and date of birth.
+// Returns [{ reason, key, customers }], largest groups first.
+export const findDuplicateGroups = async ({ reasons = DUPLICATE_REASONS } = {}) => {
+  const groups = new Map();
+  const cursor = Customer.find().select(SUMMARY_FIELDS).lean().cursor();
+
+  for await (const customer of cursor) {
+    const keys = getDuplicateKeys(customer);
+    reasons.forEach(reason => {
+      if (!keys[reason]) return;
+      const groupKey = `${reason}:${keys[reason]}`;
+      if (!groups.has(groupKey)) groups.set(groupKey, { reason, key: keys[reason], customers: [] });
+      groups.get(groupKey).customers.push(customer);
+    });
+  }
+
+  return [...groups.values()]
+    .filter(group => group.customers.length > 1)
+    .sort((a, b) => b.customers.length - a.customers.length || a.key.localeCompare(b.key));
+};
+
+// Most likely duplicates reported for one customer
+const MAX_LIKELY_DUPLICATES = 50;
+
+// Existing customers that look like the same person as `data`.
+// Returns [{ customer, reasons }].
+export const findLikelyDuplicates = async (data, excludeId = null) => {
+  const keys = getDuplicateKeys(data);
+  const conditions = [];
+
+  if (keys.phone) conditions.push({ phone: keys.phone });
+  if (keys.email) conditions.push({ email: { $regex: `^${escapeRegex(keys.email)}$`, $options: 'i' } });
+  if (keys.name_dob) {
+    const day = new Date(toDay(data.dateOfBirth));
+    // Names are stored as typed, so the words are matched in order and compared exactly below
+    const words = normalizeName(data.name).split(' ').map(escapeRegex);
+    conditions.push({
+      name: { $regex: words.join('.*'), $options: 'i' },
+      dateOfBirth: { $gte: day, $lt: new Date(day.getTime() + 24 * 60 * 60 * 1000) }
+    });
+  }
+  if (conditions.length === 0) return [];
+
+  const filter = { $or: conditions };
+  if (excludeId) filter._id = { $ne: excludeId };
+
+  const candidates = await Customer.find(filter).select(SUMMARY_FIELDS).lean();
+  return candidates
+    .map(customer => {
+      const candidateKeys = getDuplicateKeys(customer);
+      const reasons = Object.keys(keys).filter(reason => keys[reason] === candidateKeys[reason]);
+      return { customer, reasons };
+    })
+    .filter(match => match.reasons.length > 0)
+    .slice(0, MAX_LIKELY_DUPLICATES);
+};
+
+// Merge `source` into `target`: dependent records move to the target, empty target fields
+// are filled from the source (or taken from it for the fields listed in `takeFromSource`),
+// and the source goes to the trash marked as merged. Both keep their own history; the merge
+// is recorded on each. Returns { customer, moved, changes }.
+export const mergeCustomers = async (target, source, { takeFromSource = [], user = null } = {}) => {
+  const before = target.toObject({ virtuals: false });
+
+  MERGEABLE_FIELDS.forEach(field => {
+    const sourceValue = source[field];
+    if (sourceValue === undefined || sourceValue === null || sourceValue === '') return;
+    const targetValue = target[field];
+    if (takeFromSource.includes(field) || targetValue === undefined || targetValue === null || targetValue === '') {
+      target[field] = sourceValue;
+    }
+  });
+
+  // Keep both sets of notes rather than dropping one
+  if (source.notes && target.notes && !takeFromSource.includes('notes') && !target.notes.includes(source.notes)) {
+    target.notes = `${target.notes}\n\n${source.notes}`;
+  }
+
+  target.updatedBy = user ? user._id : target.updatedBy;
+
+  // All or nothing, so a failure can't leave records split across both customers
+  const from = { customer: source._id };
+  const to = { $set: { customer: target._id } };
+  const moved = await runInTransaction(async (session) => {
+    await target.save({ session });
+    await syncPrimaryOrder(target, session);
+
+    // The target keeps its own primary order; the source's becomes an ordinary order
+    const orders = await ServiceOrder.updateMany(from, { $set: { customer: target._id, primary: false } })
+      .setOptions({ withDeleted: true }).session(session);
+    const payments = await Payment.updateMany(from, to).session(session);
+    const invoices = await Invoice.updateMany(from, to).session(session);
+    const notifications = await Notification.updateMany(from, to).session(session);
+    const documents = await CustomerDocument.updateMany(from, to).session(session);
+
+    source.mergedInto = target._id;
+    source.deletedAt = new Date();
+    source.deletedBy = user ? user._id : null;
+    await source.save({ session, validateBeforeSave: false });
+
+    return {
+      orders: orders.modifiedCount,
+      payments: payments.modifiedCount,
+      invoices: invoices.modifiedCount,
+      notifications: notifications.modifiedCount,
+      documents: documents.modifiedCount
+    };
+  });
+
+  const changes = diffDocuments(before, target.toObject({ virtuals: false }));
+  await recordAudit({
+    entityType: 'Customer',
+    entityId: target._id,
+    action: 'merge',
+    changes,
+    user,
+    note: `Merged customer ${source._id} (${source.name}, ${source.phone}). Moved: ` +
+      Object.keys(moved).map(key => `${moved[key]} ${key}`).join(', ')
+  });
+  await recordAudit({
+    entityType: 'Customer',
+    entityId: source._id,
+    action: 'merged_into',
+    changes: [{ field: 'mergedInto', from: null, to: target._id.toString() }],
+    user
+  });
+
+  return { customer: target, moved, changes };
+};
@@ -0,0 +1,170 @@
+import ExcelJS from 'exceljs';
+import Customer from '../models/Customer.js';
+import Category from '../models/Category.js';
+import SubCategory from '../models/SubCategory.js';
+
+export const EXPORT_FORMATS = ['csv', 'xlsx', 'json'];
+
+const formatDate = (value) => (value ? new Date(value).toISOString().slice(0, 10) : '');
+
+// Columns that can be exported, in their default order
+const EXPORT_COLUMNS = [
+  { key: 'name', header: 'Name' },
+  { key: 'phone', header: 'Phone' },
+  { key: 'email', header: 'Email' },
+  { key: 'dateOfBirth', header: 'Date of Birth', date: true },
+  { key: 'address', header: 'Address' },
+  { key: 'city', header: 'City' },
+  { key: 'state', header: 'State' },
+  { key: 'zipCode', header: 'PIN Code' },
+  {
+    key: 'serviceCategory',
+    header: 'Service Category',
+    get: (customer, catalog) => catalog.categories.get(String(customer.serviceCategory)) ||
+      customer.serviceCategoryName
+  },
+  {
+    key: 'serviceSubCategory',
+    header: 'Service Subcategory',
+    get: (customer, catalog) => (customer.serviceSubCategory
+      ? catalog.subcategories.get(String(customer.serviceSubCategory)) || customer.serviceSubCategoryName
+      : '')
+  },
+  { key: 'serviceNumber', header: 'Service Number' },
+  { key: 'status', header: 'Status' },
+  { key: 'fees', header: 'Fees' },
+  { key: 'gstStatus', header: 'GST Status' },
+  { key: 'gstNumber', header: 'GST Number' },
+  { key: 'deliveryDate', header: 'Delivery Date', date: true },
+  { key: 'deliveryStatus', header: 'Delivery Status' },
+  { key: 'nextRenewalDate', header: 'Next Renewal Date', date: true },
+  { key: 'notes', header: 'Notes' },
+  { key: 'createdAt', header: 'Created At', date: true },
+  { key: 'updatedAt', header: 'Updated At', date: true }
+];
+
+export const EXPORT_COLUMN_KEYS = EXPORT_COLUMNS.map(column => column.key);
+
+// Pick the requested columns (comma-separated keys); returns { columns, errors }
+export const selectExportColumns = (requested) => {
+  if (!requested) return { columns: EXPORT_COLUMNS, errors: [] };
+
+  const keys = String(requested).split(',').map(key => key.trim()).filter(Boolean);
+  const unknown = keys.filter(key => !EXPORT_COLUMN_KEYS.includes(key));
+  if (unknown.length > 0) {
+    return {
+      columns: [],
+      errors: [{
+        param: 'columns',
+        msg: `Unknown columns: ${unknown.join(', ')}. Allowed: ${EXPORT_COLUMN_KEYS.join(', ')}`,
+        value: requested
+      }]
+    };
+  }
+  return { columns: keys.map(key => EXPORT_COLUMNS.find(column => column.key === key)), errors: [] };
+};
+
+// Category and subcategory names by ID, loaded once per export
+const loadCatalogNames = async () => {
+  const [categories, subcategories] = await Promise.all([
+    Category.find().setOptions({ withDeleted: true }).select('name').lean(),
+    SubCategory.find().setOptions({ withDeleted: true }).select('name').lean()
+  ]);
+  return {
+    categories: new Map(categories.map(category => [String(category._id), category.name])),
+    subcategories: new Map(subcategories.map(subcategory => [String(subcategory._id), subcategory.name]))
+  };
+};
+
+const getValue = (column, customer, catalog) => {
+  const value = column.get ? column.get(customer, catalog) : customer[column.key];
+  if (column.date) return formatDate(value);
+  return value === undefined || value === null ? '' : value;
+};
+
+// Quote a CSV value; text starting with a formula character is prefixed so spreadsheets
+// don't execute it
+const toCsvValue = (value) => {
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const closedError = () => new Error('Response closed before the export finished');
+
+// Write to the response, waiting when its buffer is full. Rejects when the response is
+// closed or fails instead (e.g. the client went away), so the export stops.
+const write = (res, chunk) => new Promise((resolve, reject) => {
+  if (res.destroyed) return reject(closedError());
+  if (res.write(chunk)) return resolve();
+
+  const settle = (error) => {
+    res.off('drain', onDrain);
+    res.off('close', onClose);
+    res.off('error', onError);
+    if (error) reject(error);
+    else resolve();
+  };
+  const onDrain = () => settle();
+  const onClose = () => settle(closedError());
+  const onError = (error) => settle(error);
+  res.once('drain', onDrain);
+  res.once('close', onClose);
+  res.once('error', onError);
+});
+
+// Stream the customers matching filter/sort to the response in the requested format
+export const streamCustomerExport = async (res, { filter, sort, columns, format }) => {
+  const catalog = await loadCatalogNames();
+  const cursor = Customer.find(filter).sort(sort).lean().cursor();
+  const fileName = `customers-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+  try {
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+    if (format === 'xlsx') {
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+      const worksheet = workbook.addWorksheet('Customers');
+      worksheet.columns = columns.map(column => ({ header: column.header, key: column.key, width: 20 }));
+
+      for await (const customer of cursor) {
+        if (res.destroyed) throw closedError();
+        const row = {};
+        columns.forEach(column => { row[column.key] = getValue(column, customer, catalog); });
+        worksheet.addRow(row).commit();
+      }
+      worksheet.commit();
+      await workbook.commit();
+      return;
+    }
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      // Byte order mark so Excel opens UTF-8 (Tamil names) correctly
+      await write(res, `\uFEFF${columns.map(column => toCsvValue(column.header)).join(',')}\r\n`);
+      for await (const customer of cursor) {
+        await write(res, `${columns.map(column => toCsvValue(getValue(column, customer, catalog))).join(',')}\r\n`);
+      }
+      res.end();
+      return;
+    }
+
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    await write(res, '[');
+    let first = true;
+    for await (const customer of cursor) {
+      const record = { id: customer._id };
+      columns.forEach(column => {
+        const value = column.get ? column.get(customer, catalog) : customer[column.key];
+        record[column.key] = value === undefined ? null : value;
+      });
+      await write(res, `${first ? '' : ','}\n${JSON.stringify(record)}`);
+      first = false;
+    }
+    await write(res, '\n]');
+    res.end();
+  } finally {
+    await cursor.close();
+  }
+};
@@ -0,0 +1,413 @@
+import path from 'path';
+import crypto from 'crypto';
+import { parse } from 'csv-parse/sync';
+import ExcelJS from 'exceljs';
+import Customer from '../models/Customer.js';
+import Category from '../models/Category.js';
+import SubCategory from '../models/SubCategory.js';
+import ImportJob from '../models/ImportJob.js';
+import { escapeRegex } from './customerQuery.js';
+import { checkTransition, applyDeliveryTransition } from './deliveryWorkflow.js';
+import { createCustomer, updateCustomer, normalizePhone, toFieldErrors } from './customerService.js';
+
+const PROGRESS_SAVE_INTERVAL = 25;
+const MAX_STORED_ROW_ERRORS = 1000;
+
+// Spreadsheet headers recognised for each field, compared without case, spaces or punctuation
+const FIELD_ALIASES = {
+  name: ['name', 'customername', 'customer', 'fullname'],
+  email: ['email', 'emailid', 'emailaddress', 'mail'],
+  phone: ['phone', 'phonenumber', 'phoneno', 'mobile', 'mobilenumber', 'mobileno', 'contact', 'contactnumber'],
+  dateOfBirth: ['dateofbirth', 'dob', 'birthdate'],
+  address: ['address', 'fulladdress', 'streetaddress'],
+  city: ['city', 'town', 'village'],
+  state: ['state'],
+  zipCode: ['zipcode', 'zip', 'pincode', 'pin', 'postalcode'],
+  serviceCategory: ['servicecategory', 'category', 'service'],
+  serviceSubCategory: ['servicesubcategory', 'subcategory', 'subservice'],
+  serviceNumber: ['servicenumber', 'serviceno', 'applicationnumber', 'applicationno', 'acknowledgementnumber', 'ackno'],
+  status: ['status', 'customerstatus'],
+  fees: ['fees', 'fee', 'amount', 'charges'],
+  gstStatus: ['gststatus'],
+  gstNumber: ['gstnumber', 'gstin', 'gst', 'gstno'],
+  deliveryDate: ['deliverydate'],
+  nextRenewalDate: ['nextrenewaldate', 'renewaldate', 'renewal'],
+  deliveryStatus: ['deliverystatus'],
+  notes: ['notes', 'note', 'remarks', 'comments']
+};
+
+const DATE_FIELDS = ['dateOfBirth', 'deliveryDate', 'nextRenewalDate'];
+
+const normalizeHeader = (header) => String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+export const SUPPORTED_EXTENSIONS = ['.csv', '.xlsx'];
+
+export const getChecksum = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+// Plain value of an ExcelJS cell (formulas, hyperlinks and rich text unwrapped)
+const cellValue = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value;
+  if (typeof value === 'object') {
+    if (value.result !== undefined) return cellValue(value.result);
+    if (value.text !== undefined) return cellValue(value.text);
+    if (value.richText) return value.richText.map(part => part.text).join('');
+  }
+  return value;
+};
+
+// Read a CSV or XLSX file into a list of { header: value } rows
+export const parseImportFile = async (buffer, fileName) => {
+  const extension = path.extname(fileName || '').toLowerCase();
+
+  if (extension === '.csv') {
+    return parse(buffer, { columns: true, skip_empty_lines: true, trim: true, bom: true });
+  }
+
+  if (extension === '.xlsx') {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+    const worksheet = workbook.worksheets[0];
+    if (!worksheet) return [];
+
+    const headers = [];
+    worksheet.getRow(1).eachCell((cell, column) => {
+      headers[column] = String(cellValue(cell.value)).trim();
+    });
+
+    const rows = [];
+    worksheet.eachRow((row, rowNumber) => {
+      if (rowNumber === 1) return;
+      const record = {};
+      headers.forEach((header, column) => {
+        if (header) record[header] = cellValue(row.getCell(column).value);
+      });
+      if (Object.values(record).some(value => value !== '')) rows.push(record);
+    });
+    return rows;
+  }
+
+  throw new Error(`Unsupported file type. Use one of: ${SUPPORTED_EXTENSIONS.join(', ')}`);
+};
+
+// Problems with an explicit mapping ({ header: field }) in the { param, msg, value } shape.
+// Headers may only map to the fields above, never to system fields such as deletedAt.
+export const validateColumnMapping = (mapping) => {
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    return [{ param: 'mapping', msg: 'mapping must be an object of { "Sheet header": "field" }', value: mapping }];
+  }
+  return Object.keys(mapping)
+    .filter(header => !Object.prototype.hasOwnProperty.call(FIELD_ALIASES, mapping[header]))
+    .map(header => ({
+      param: `mapping.${header}`,
+      msg: `Column cannot be mapped to ${mapping[header]}. Use one of: ${Object.keys(FIELD_ALIASES).join(', ')}`,
+      value: mapping[header]
+    }));
+};
+
+// Work out which field each header maps to. An explicit mapping ({ header: field }) wins.
+export const buildColumnMapping = (headers, explicitMapping = {}) => {
+  const mapping = {};
+  headers.forEach(header => {
+    if (explicitMapping[header]) {
+      mapping[header] = explicitMapping[header];
+      return;
+    }
+    const normalized = normalizeHeader(header);
+    const field = Object.keys(FIELD_ALIASES).find(key => FIELD_ALIASES[key].includes(normalized));
+    if (field) mapping[header] = field;
+  });
+  return mapping;
+};
+
+// Dates in Indian sheets are usually day first (31/12/2024); ISO dates are accepted too
+const parseImportDate = (value) => {
+  if (value instanceof Date) return value;
+  const text = String(value).trim();
+  const dayFirst = text.match(/^(\d{1,2})[\/\-.](\d{1,2})[\/\-.](\d{4})$/);
+  if (dayFirst) {
+    const [, day, month, year] = dayFirst.map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCMonth() === month - 1 ? date : null;
+  }
+  const date = new Date(text);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// Loads categories and subcategories once and resolves names (or IDs) from the sheet
+const createCatalogResolver = async () => {
+  const [categories, subcategories] = await Promise.all([Category.find(), SubCategory.find()]);
+
+  const categoriesByKey = new Map();
+  categories.forEach(category => {
+    categoriesByKey.set(category._id.toString(), category);
+    categoriesByKey.set(category.name.trim().toLowerCase(), category);
+  });
+
+  return (categoryValue, subCategoryValue) => {
+    const errors = [];
+    const category = categoriesByKey.get(String(categoryValue || '').trim().toLowerCase());
+    if (!category) {
+      errors.push({ param: 'serviceCategory', msg: 'Service category not found', value: categoryValue });
+      return { errors };
+    }
+
+    let subcategory = null;
+    if (subCategoryValue) {
+      const key = String(subCategoryValue).trim().toLowerCase();
+      subcategory = subcategories.find(sub => sub.category.equals(category._id) &&
+        (sub._id.toString() === key || sub.name.trim().toLowerCase() === key));
+      if (!subcategory) {
+        errors.push({
+          param: 'serviceSubCategory',
+          msg: `Service subcategory not found in ${category.name}`,
+          value: subCategoryValue
+        });
+        return { errors };
+      }
+    }
+
+    return {
+      errors,
+      service: {
+        serviceCategory: category._id,
+        serviceCategoryName: category.name,
+        serviceSubCategory: subcategory ? subcategory._id : null,
+        serviceSubCategoryName: subcategory ? subcategory.name : null
+      }
+    };
+  };
+};
+
+// Turn one sheet row into customer data, returning { data, errors }
+const buildCustomerData = (row, mapping, resolveService) => {
+  const values = {};
+  Object.keys(mapping).forEach(header => {
+    const value = row[header];
+    if (value === undefined || value === null || value === '') return;
+    values[mapping[header]] = value instanceof Date ? value : String(value).trim();
+  });
+
+  const errors = [];
+  const data = {};
+
+  Object.keys(values).forEach(field => {
+    if (field === 'serviceCategory' || field === 'serviceSubCategory') return;
+    const value = values[field];
+
+    if (DATE_FIELDS.includes(field)) {
+      const date = parseImportDate(value);
+      if (!date) {
+        errors.push({ param: field, msg: `${field} must be a valid date`, value });
+      } else {
+        data[field] = date;
+      }
+    } else if (field === 'fees') {
+      const fees = Number(String(value).replace(/[₹,\s]/g, ''));
+      if (isNaN(fees)) {
+        errors.push({ param: 'fees', msg: 'Fees must be a number', value });
+      } else {
+        data.fees = fees;
+      }
+    } else if (field === 'phone') {
+      data.phone = normalizePhone(value);
+    } else {
+      data[field] = value;
+    }
+  });
+
+  const { service, errors: serviceErrors } = resolveService(values.serviceCategory, values.serviceSubCategory);
+  errors.push(...serviceErrors);
+  if (service) Object.assign(data, service);
+
+  return { data, errors };
+};
+
+// Run the same model validation a customer created through the API goes through
+const validateCustomerData = async (data) => {
+  try {
+    await new Customer(data).validate();
+    return [];
+  } catch (error) {
+    if (error.name !== 'ValidationError') throw error;
+    return toFieldErrors(error);
+  }
+};
+
+// An existing customer is the same service number, or failing that the same phone and name
+const findExistingCustomer = (data) => {
+  if (data.serviceNumber) {
+    return Customer.findOne({ serviceNumber: data.serviceNumber });
+  }
+  if (data.phone && data.name) {
+    return Customer.findOne({
+      phone: data.phone,
+      name: { $regex: `^${escapeRegex(data.name)}$`, $options: 'i' }
+    });
+  }
+  return null;
+};
+
+// Write one valid row: create a customer, or update/skip an existing one. Returns the outcome.
+const importRow = async (data, onExisting, user) => {
+  const existing = await findExistingCustomer(data);
+
+  if (!existing) {
+    // The same path as the API, so catalog fees and delivery dates apply to imported rows too
+    const { errors } = await createCustomer(data, user, { note: 'Imported' });
+    if (errors) {
+      const error = new Error(errors[0].msg);
+      error.param = errors[0].param;
+      throw error;
+    }
+    return 'created';
+  }
+
+  if (onExisting !== 'update') return 'skipped';
+
+  // Delivery status goes through its workflow; the rest is an ordinary update
+  const { deliveryStatus, ...fields } = data;
+  const from = existing.deliveryStatus;
+  const moveDelivery = deliveryStatus && deliveryStatus !== from;
+  if (moveDelivery) {
+    const problem = checkTransition(from, deliveryStatus, { user, reason: 'Imported' });
+    if (problem) {
+      const error = new Error(problem.error);
+      error.param = 'deliveryStatus';
+      throw error;
+    }
+  }
+
+  const { changes, errors } = await updateCustomer(existing, fields, user, { note: 'Imported' });
+  if (errors) {
+    const error = new Error(errors[0].msg);
+    error.param = errors[0].param;
+    throw error;
+  }
+
+  if (moveDelivery) {
+    await applyDeliveryTransition(existing, 'Customer', deliveryStatus, { user, reason: 'Imported' });
+  }
+  return changes.length > 0 || moveDelivery ? 'updated' : 'skipped';
+};
+
+// Stable text form of a column mapping, so an interrupted import only resumes when the
+// columns are read the same way
+const getMappingKey = (mapping) => JSON.stringify(Object.keys(mapping).sort().map(header => [header, mapping[header]]));
+
+// Import parsed rows. With dryRun nothing is written and every row is only validated.
+// Otherwise progress is kept in an ImportJob so an interrupted import of the same file resumes.
+export const runCustomerImport = async ({ rows, fileName, checksum, options = {}, user }) => {
+  const { dryRun = false, onExisting = 'skip', mapping: explicitMapping = {} } = options;
+  const headers = rows.length > 0 ? Object.keys(rows[0]) : [];
+  const mapping = buildColumnMapping(headers, explicitMapping);
+  const mappingKey = getMappingKey(mapping);
+  const resolveService = await createCatalogResolver();
+
+  const report = {
+    dryRun,
+    fileName,
+    totalRows: rows.length,
+    mapping,
+    unmappedColumns: headers.filter(header => !mapping[header]),
+    created: 0,
+    updated: 0,
+    skipped: 0,
+    failed: 0,
+    rowErrors: []
+  };
+
+  let job = null;
+  let startRow = 0;
+  if (!dryRun) {
+    job = await ImportJob.findOne({
+      checksum,
+      'options.onExisting': onExisting,
+      'options.mappingKey': mappingKey,
+      status: { $ne: 'completed' }
+    }).sort({ createdAt: -1 });
+
+    if (job) {
+      startRow = job.processedRows;
+      ['created', 'updated', 'skipped', 'failed'].forEach(key => { report[key] = job[key]; });
+      report.rowErrors = [...job.rowErrors];
+      job.status = 'running';
+    } else {
+      job = new ImportJob({
+        fileName,
+        checksum,
+        options: { onExisting, mapping: explicitMapping, mappingKey },
+        totalRows: rows.length,
+        startedBy: user._id
+      });
+    }
+    await job.save();
+    report.jobId = job._id;
+    report.resumedFromRow = startRow;
+  }
+
+  // Rows seen earlier in this file, so a dry run reports in-file duplicates the way a real run would
+  const seenKeys = new Set();
+
+  const saveProgress = async (processedRows) => {
+    if (!job) return;
+    job.processedRows = processedRows;
+    ['created', 'updated', 'skipped', 'failed'].forEach(key => { job[key] = report[key]; });
+    job.rowErrors = report.rowErrors.slice(0, MAX_STORED_ROW_ERRORS);
+    await job.save();
+  };
+
+  try {
+    for (let index = startRow; index < rows.length; index++) {
+      // Row 1 of the sheet is the header
+      const rowNumber = index + 2;
+      const { data, errors } = buildCustomerData(rows[index], mapping, resolveService);
+      errors.push(...await validateCustomerData(data));
+
+      if (errors.length > 0) {
+        report.failed++;
+        report.rowErrors.push({ row: rowNumber, errors });
+      } else if (dryRun) {
+        const key = data.serviceNumber || `${data.phone}:${String(data.name).toLowerCase()}`;
+        const existing = seenKeys.has(key) || await findExistingCustomer(data);
+        seenKeys.add(key);
+        if (!existing) report.created++;
+        else if (onExisting === 'update') report.updated++;
+        else report.skipped++;
+      } else {
+        try {
+          report[await importRow(data, onExisting, user)]++;
+        } catch (error) {
+          if (error.name !== 'ValidationError' && !error.param) throw error;
+          report.failed++;
+          report.rowErrors.push({
+            row: rowNumber,
+            errors: error.name === 'ValidationError'
+              ? Object.keys(error.errors).map(key => ({ param: key, msg: error.errors[key].message }))
+              : [{ param: error.param, msg: error.message }]
+          });
+        }
+      }
+
+      if (job && (index + 1) % PROGRESS_SAVE_INTERVAL === 0) {
+        await saveProgress(index + 1);
+      }
+    }
+
+    if (job) {
+      await saveProgress(rows.length);
+      job.status = 'completed';
+      job.completedAt = new Date();
+      await job.save();
+    }
+  } catch (error) {
+    if (job) {
+      job.status = 'failed';
+      job.lastError = error.message;
+      await job.save();
+    }
+    throw error;
+  }
+
+  return report;
+};
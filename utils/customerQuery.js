@@ -0,0 +1,202 @@
+import mongoose from 'mongoose';
+import Customer from '../models/Customer.js';
+import { parseBusinessDate } from './businessDate.js';
+
+// Fields the customer list can be sorted by
+export const CUSTOMER_SORT_FIELDS = [
+  'createdAt',
+  'updatedAt',
+  'name',
+  'email',
+  'phone',
+  'city',
+  'state',
+  'serviceCategoryName',
+  'serviceSubCategoryName',
+  'serviceNumber',
+  'status',
+  'fees',
+  'gstStatus',
+  'deliveryDate',
+  'deliveryStatus',
+  'nextRenewalDate'
+];
+
+export const DEFAULT_PAGE_SIZE = 25;
+export const MAX_PAGE_SIZE = 100;
+
+// Query parameters that filter a date field: <param>From / <param>To
+const DATE_RANGE_FIELDS = ['createdAt', 'deliveryDate', 'nextRenewalDate'];
+
+// Query parameters that filter an enum field; each accepts a comma-separated list
+const ENUM_FIELDS = ['status', 'deliveryStatus', 'gstStatus'];
+
+export const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const toList = (value) => (Array.isArray(value) ? value : String(value).split(','))
+  .map(item => item.trim())
+  .filter(Boolean);
+
+// A bare YYYY-MM-DD is a day in the business timezone; an upper bound takes in that whole day
+const parseDate = (value, { endOfDay = false } = {}) => {
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return parseBusinessDate(value, { endOfDay });
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// Build the MongoDB filter for the customer list from request query parameters.
+// Returns { filter, errors } where errors uses the same { param, msg, value } shape
+// as the validation errors returned elsewhere.
+export const buildCustomerFilter = (query = {}) => {
+  const filter = {};
+  const errors = [];
+
+  if (query.search) {
+    const pattern = escapeRegex(String(query.search).trim());
+    filter.$or = [
+      { name: { $regex: pattern, $options: 'i' } },
+      { email: { $regex: pattern, $options: 'i' } },
+      { phone: { $regex: pattern, $options: 'i' } },
+      { serviceNumber: { $regex: pattern, $options: 'i' } }
+    ];
+  }
+
+  ENUM_FIELDS.forEach(field => {
+    if (!query[field]) return;
+    const allowed = Customer.schema.path(field).enumValues;
+    const values = toList(query[field]);
+    const invalid = values.filter(value => !allowed.includes(value));
+    if (invalid.length > 0) {
+      errors.push({
+        param: field,
+        msg: `${field} must be one of: ${allowed.join(', ')}`,
+        value: query[field]
+      });
+      return;
+    }
+    filter[field] = values.length === 1 ? values[0] : { $in: values };
+  });
+
+  // `service` is the older name for the serviceCategory filter
+  const idFilters = {
+    serviceCategory: query.serviceCategory || query.service,
+    serviceSubCategory: query.serviceSubCategory
+  };
+  Object.keys(idFilters).forEach(field => {
+    if (!idFilters[field]) return;
+    const ids = toList(idFilters[field]);
+    const invalid = ids.filter(id => !mongoose.Types.ObjectId.isValid(id));
+    if (invalid.length > 0) {
+      errors.push({ param: field, msg: `Invalid ${field} ID format`, value: idFilters[field] });
+      return;
+    }
+    filter[field] = ids.length === 1 ? ids[0] : { $in: ids };
+  });
+
+  ['city', 'state'].forEach(field => {
+    if (!query[field]) return;
+    filter[field] = { $regex: `^${escapeRegex(String(query[field]).trim())}$`, $options: 'i' };
+  });
+
+  if (query.feesMin !== undefined || query.feesMax !== undefined) {
+    filter.fees = {};
+    [['feesMin', '$gte'], ['feesMax', '$lte']].forEach(([param, operator]) => {
+      if (query[param] === undefined || query[param] === '') return;
+      const value = Number(query[param]);
+      if (isNaN(value)) {
+        errors.push({ param, msg: `${param} must be a number`, value: query[param] });
+        return;
+      }
+      filter.fees[operator] = value;
+    });
+    if (Object.keys(filter.fees).length === 0) delete filter.fees;
+  }
+
+  DATE_RANGE_FIELDS.forEach(field => {
+    const range = {};
+    [[`${field}From`, '$gte'], [`${field}To`, '$lte']].forEach(([param, operator]) => {
+      if (!query[param]) return;
+      const date = parseDate(query[param], { endOfDay: operator === '$lte' });
+      if (!date) {
+        errors.push({ param, msg: `${param} must be a valid date`, value: query[param] });
+        return;
+      }
+      range[operator] = date;
+    });
+    if (Object.keys(range).length > 0) filter[field] = range;
+  });
+
+  return { filter, errors };
+};
+
+// Build the sort from sortBy/sortOrder, restricted to the allowed fields
+export const buildCustomerSort = (query = {}) => {
+  const { sortBy = 'createdAt', sortOrder = 'desc' } = query;
+  const errors = [];
+
+  if (!CUSTOMER_SORT_FIELDS.includes(sortBy)) {
+    errors.push({
+      param: 'sortBy',
+      msg: `sortBy must be one of: ${CUSTOMER_SORT_FIELDS.join(', ')}`,
+      value: sortBy
+    });
+  }
+  if (!['asc', 'desc'].includes(sortOrder)) {
+    errors.push({ param: 'sortOrder', msg: 'sortOrder must be asc or desc', value: sortOrder });
+  }
+
+  const direction = sortOrder === 'asc' ? 1 : -1;
+  // Tie-break on _id so pages are stable when many rows share the sort value
+  const sort = { [CUSTOMER_SORT_FIELDS.includes(sortBy) ? sortBy : 'createdAt']: direction, _id: direction };
+
+  return { sort, errors };
+};
+
+// Read page/limit from the query, clamped to sensible bounds
+export const buildPagination = (query = {}) => {
+  const errors = [];
+  let page = query.page === undefined ? 1 : parseInt(query.page, 10);
+  let limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : parseInt(query.limit, 10);
+
+  if (isNaN(page) || page < 1) {
+    errors.push({ param: 'page', msg: 'page must be a positive integer', value: query.page });
+    page = 1;
+  }
+  if (isNaN(limit) || limit < 1) {
+    errors.push({ param: 'limit', msg: 'limit must be a positive integer', value: query.limit });
+    limit = DEFAULT_PAGE_SIZE;
+  }
+  limit = Math.min(limit, MAX_PAGE_SIZE);
+
+  return { page, limit, skip: (page - 1) * limit, errors };
+};
+
+// Fields a service order stores as well as the customer. In lists and reports over orders,
+// filters on these apply to the order; the others apply to the order's customer.
+const ORDER_FILTER_FIELDS = [
+  'serviceCategory', 'serviceSubCategory', 'serviceNumber', 'fees', 'gstStatus',
+  'deliveryDate', 'deliveryStatus', 'nextRenewalDate'
+];
+const ID_FILTER_FIELDS = ['serviceCategory', 'serviceSubCategory'];
+
+// Aggregations don't cast like queries do, so ids in a filter are converted here
+const toObjectIds = (value) => {
+  if (value && Array.isArray(value.$in)) return { $in: value.$in.map(id => new mongoose.Types.ObjectId(id)) };
+  return new mongoose.Types.ObjectId(value);
+};
+
+// Stages that bring each service order's customer in as `customer`, dropping orders whose
+// customer is in the trash
+export const lookupOrderCustomer = () => [
+  { $lookup: { from: Customer.collection.name, localField: 'customer', foreignField: '_id', as: 'customer' } },
+  { $unwind: '$customer' },
+  { $match: { 'customer.deletedAt': null } }
+];
+
+// Turn a filter from buildCustomerFilter into a $match for service orders after
+// lookupOrderCustomer()
+export const toOrderMatch = (filter) => Object.fromEntries(Object.entries(filter).map(([key, value]) => {
+  if (key === '$or') return [key, value.map(toOrderMatch)];
+  const matchValue = ID_FILTER_FIELDS.includes(key) ? toObjectIds(value) : value;
+  return [ORDER_FILTER_FIELDS.includes(key) ? key : `customer.${key}`, matchValue];
+}));
@@ -0,0 +1,100 @@
+import Customer from '../models/Customer.js';
+import { escapeRegex } from './customerQuery.js';
+
+// Fields covered by the text index, checked when reporting what matched
+export const SEARCHABLE_FIELDS = [
+  'name',
+  'email',
+  'phone',
+  'address',
+  'serviceCategoryName',
+  'serviceSubCategoryName',
+  'serviceNumber',
+  'city',
+  'state',
+  'zipCode',
+  'gstNumber',
+  'notes'
+];
+
+// Fields where staff usually type the beginning of an identifier
+const PREFIX_FIELDS = ['phone', 'serviceNumber', 'gstNumber'];
+
+const MIN_PREFIX_LENGTH = 3;
+
+const getSearchTerms = (q) => String(q)
+  .toLowerCase()
+  .replace(/"/g, ' ')
+  .split(/\s+/)
+  .filter(Boolean);
+
+// Report which fields contain which search terms, with character ranges to highlight
+export const findMatches = (customer, terms) => {
+  const matches = [];
+
+  SEARCHABLE_FIELDS.forEach(field => {
+    const value = customer[field];
+    if (!value) return;
+
+    const text = String(value);
+    const lowerText = text.toLowerCase();
+    const ranges = [];
+
+    terms.forEach(term => {
+      let index = lowerText.indexOf(term);
+      while (index !== -1) {
+        ranges.push([index, index + term.length]);
+        index = lowerText.indexOf(term, index + term.length);
+      }
+    });
+
+    if (ranges.length > 0) {
+      ranges.sort((a, b) => a[0] - b[0]);
+      matches.push({ field, value: text, ranges });
+    }
+  });
+
+  return matches;
+};
+
+// Relevance-ranked search using the text index, with a prefix fallback for partial
+// phone, service and GST numbers (which the text index can't match).
+export const searchCustomers = async (q, { filter = {}, limit = 20 } = {}) => {
+  const query = String(q).trim();
+  const terms = getSearchTerms(query);
+
+  const textResults = await Customer.find(
+    { ...filter, $text: { $search: query } },
+    { score: { $meta: 'textScore' } }
+  )
+    .sort({ score: { $meta: 'textScore' } })
+    .limit(limit)
+    .lean();
+
+  let prefixResults = [];
+  const compact = query.replace(/\s+/g, '');
+  const remaining = limit - textResults.length;
+  if (remaining > 0 && compact.length >= MIN_PREFIX_LENGTH && /^[\w\-\/]+$/.test(compact)) {
+    const pattern = `^${escapeRegex(compact)}`;
+    const seen = textResults.map(customer => customer._id);
+
+    prefixResults = await Customer.find({
+      ...filter,
+      _id: { $nin: seen },
+      $or: PREFIX_FIELDS.map(field => ({ [field]: { $regex: pattern, $options: 'i' } }))
+    })
+      .sort({ createdAt: -1 })
+      .limit(remaining)
+      .lean();
+  }
+
+  const results = [
+    ...textResults.map(customer => ({ ...customer, matchType: 'text' })),
+    ...prefixResults.map(customer => ({ ...customer, score: 0, matchType: 'prefix' }))
+  ];
+
+  return results.map(customer => ({
+    ...customer,
+    matches: findMatches(customer, customer.matchType === 'prefix' ? [compact.toLowerCase()] : terms)
+  }));
+};
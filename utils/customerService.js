@@ -0,0 +1,267 @@
+import mongoose from 'mongoose';
+import { body, validationResult } from 'express-validator';
+import Customer from '../models/Customer.js';
+import ServiceOrder from '../models/ServiceOrder.js';
+import { diffDocuments, recordAudit } from './audit.js';
+import { resolveService, createInitialOrder } from './serviceOrders.js';
+import { syncPrimaryOrder } from './serviceMirror.js';
+import { applyCatalogDefaults, describeOverrides } from './serviceCatalog.js';
+import { findLikelyDuplicates } from './customerDuplicates.js';
+import { normalizeStateName } from './indianStates.js';
+import { validateGstin } from './gst.js';
+import { runInTransaction } from './transaction.js';
+
+// Fields a client may write on a customer. Everything else (system fields, delivery
+// history, service names taken from the catalog, ...) is ignored.
+export const CUSTOMER_FIELDS = [
+  'name', 'dateOfBirth', 'email', 'phone', 'address', 'city', 'state', 'zipCode',
+  'serviceCategory', 'serviceSubCategory', 'serviceNumber', 'status',
+  'fees', 'gstStatus', 'gstNumber', 'deliveryDate', 'nextRenewalDate', 'deliveryStatus', 'notes'
+];
+
+const enumValues = (field) => Customer.schema.path(field).enumValues;
+
+// Drop spaces, dashes and a leading +91 country code from phone numbers
+export const normalizePhone = (value) => String(value).replace(/[\s\-()]/g, '').replace(/^\+?91(?=\d{10}$)/, '');
+
+// Field rules shared by create and update; `required` fields must be present on create
+const fieldValidators = (required) => {
+  const presence = (field, message) => (required
+    ? body(field).exists({ checkFalsy: true }).withMessage(message).bail()
+    : body(field).optional());
+
+  return [
+    presence('name', 'Name is required').isString().trim().notEmpty().withMessage('Name is required')
+      .isLength({ max: 100 }).withMessage('Name cannot be more than 100 characters'),
+    presence('phone', 'Phone number is required').isString().withMessage('Please enter a valid 10-digit phone number')
+      .bail().customSanitizer(normalizePhone)
+      .matches(/^[0-9]{10}$/).withMessage('Please enter a valid 10-digit phone number'),
+    presence('address', 'Address is required').isString().trim().notEmpty().withMessage('Address is required')
+      .isLength({ max: 500 }).withMessage('Address cannot be more than 500 characters'),
+    presence('serviceCategory', 'Service category is required')
+      .custom(value => mongoose.Types.ObjectId.isValid(value)).withMessage('Invalid service category ID format'),
+    body('serviceSubCategory').optional({ nullable: true, checkFalsy: true })
+      .custom(value => mongoose.Types.ObjectId.isValid(value)).withMessage('Invalid service subcategory ID format'),
+    body('email').optional({ nullable: true, checkFalsy: true }).trim()
+      .isEmail().withMessage('Please enter a valid email address'),
+    body('dateOfBirth').optional({ nullable: true, checkFalsy: true })
+      .isISO8601().withMessage('Date of birth must be a valid date').bail()
+      .custom(value => new Date(value) <= new Date()).withMessage('Date of birth cannot be in the future'),
+    body('city').optional({ nullable: true }).isString().trim()
+      .isLength({ max: 100 }).withMessage('City cannot be more than 100 characters'),
+    body('state').optional({ nullable: true, checkFalsy: true }).isString().trim()
+      .custom(value => Boolean(normalizeStateName(value))).withMessage('State must be an Indian state or union territory'),
+    body('zipCode').optional({ nullable: true, checkFalsy: true }).trim()
+      .matches(/^[1-9][0-9]{5}$/).withMessage('Please enter a valid 6-digit PIN code'),
+    body('serviceNumber').optional({ nullable: true }).isString().trim()
+      .isLength({ max: 50 }).withMessage('Service number cannot be more than 50 characters'),
+    body('status').optional().isIn(enumValues('status'))
+      .withMessage(`Status must be one of: ${enumValues('status').join(', ')}`),
+    body('fees').optional({ nullable: true, checkFalsy: true })
+      .isFloat({ min: 0 }).withMessage('Fees must be a non-negative number'),
+    body('gstStatus').optional().isIn(enumValues('gstStatus'))
+      .withMessage(`GST status must be one of: ${enumValues('gstStatus').join(', ')}`),
+    body('gstNumber').optional({ nullable: true, checkFalsy: true }).isString().trim()
+      .custom((value) => {
+        const problem = validateGstin(value);
+        if (problem) throw new Error(problem);
+        return true;
+      }),
+    body('deliveryDate').optional({ nullable: true, checkFalsy: true })
+      .isISO8601().withMessage('Delivery date must be a valid date'),
+    body('nextRenewalDate').optional({ nullable: true, checkFalsy: true })
+      .isISO8601().withMessage('Next renewal date must be a valid date'),
+    body('deliveryStatus').optional().isIn(enumValues('deliveryStatus'))
+      .withMessage(`Delivery status must be one of: ${enumValues('deliveryStatus').join(', ')}`),
+    body('notes').optional({ nullable: true }).isString().trim()
+      .isLength({ max: 2000 }).withMessage('Notes cannot be more than 2000 characters')
+  ];
+};
+
+export const createCustomerValidators = fieldValidators(true);
+export const updateCustomerValidators = fieldValidators(false);
+
+// Respond with 400 and field-level errors when the validators above failed
+export const rejectInvalidCustomer = (req, res, next) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return next();
+
+  res.status(400).json({
+    error: 'Validation failed',
+    errors: errors.array().map(error => ({ param: error.path, msg: error.msg, value: error.value }))
+  });
+};
+
+// The writable fields of a request body, with empty strings turned into null
+export const pickCustomerFields = (input = {}) => {
+  const data = {};
+  CUSTOMER_FIELDS.forEach(field => {
+    if (input[field] === undefined) return;
+    data[field] = input[field] === '' ? null : input[field];
+  });
+  return data;
+};
+
+// Field errors of a Mongoose ValidationError in the { param, msg, value } shape
+export const toFieldErrors = (error) => Object.keys(error.errors).map(key => ({
+  param: key,
+  msg: error.errors[key].message,
+  value: error.errors[key].value
+}));
+
+// Turn errors from the customer service into responses: invalid data is a 400 with
+// field-level errors, anything else is logged and answered with a 500
+export const sendCustomerError = (res, error, action) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ error: 'Validation failed', errors: toFieldErrors(error) });
+  }
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      error: 'Validation failed',
+      errors: [{ param: error.path, msg: `Invalid ${error.path}`, value: error.value }]
+    });
+  }
+  if (error.code === 11000) {
+    const field = Object.keys(error.keyPattern || error.keyValue || {})[0];
+    return res.status(409).json({
+      error: 'A customer with these details already exists',
+      errors: field ? [{ param: field, msg: `${field} is already in use`, value: error.keyValue[field] }] : []
+    });
+  }
+
+  console.error(`Error ${action}:`, error);
+  res.status(500).json({ error: 'Server error' });
+};
+
+// Create a customer with its first service order. Fees and delivery date default to the
+// service catalog. `note` is added to the history entry (e.g. 'Imported').
+// Returns { customer, warnings } or { errors } when the service is unknown.
+export const createCustomer = async (input, user, { note = null } = {}) => {
+  const fields = pickCustomerFields(input);
+  const { service, subcategory, errors } = await resolveService(fields.serviceCategory, fields.serviceSubCategory);
+  if (errors.length > 0) return { errors };
+
+  const { data, overrides } = applyCatalogDefaults(fields, subcategory);
+  const customer = new Customer({
+    ...data,
+    ...service,
+    catalogOverrides: overrides,
+    createdBy: user._id,
+    updatedBy: user._id
+  });
+  // The service the customer was entered with becomes their primary order, saved together
+  await runInTransaction(async (session) => {
+    await customer.save({ session });
+    await createInitialOrder(customer, user, session);
+  });
+
+  await recordAudit({
+    entityType: 'Customer',
+    entityId: customer._id,
+    action: 'create',
+    changes: diffDocuments({}, customer.toObject({ virtuals: false })),
+    user,
+    note: [note, describeOverrides(overrides)].filter(Boolean).join('; ') || undefined
+  });
+
+  // The customer is still created; the client can offer a merge
+  const warnings = [];
+  const duplicates = await findLikelyDuplicates(customer, customer._id);
+  if (duplicates.length > 0) {
+    warnings.push({ type: 'possible_duplicate', message: 'A customer with the same details already exists', duplicates });
+  }
+
+  return { customer, warnings };
+};
+
+// Update a customer. `note` is added to the history entry (e.g. 'Imported').
+// Returns { customer, changes } or { errors } / { statusCode, error }.
+export const updateCustomer = async (customer, input, user, { note = null } = {}) => {
+  const fields = pickCustomerFields(input);
+
+  // Delivery status only changes through the delivery status transition endpoint
+  if (fields.deliveryStatus !== undefined && fields.deliveryStatus !== customer.deliveryStatus) {
+    return {
+      statusCode: 400,
+      error: 'Delivery status cannot be edited directly. Use the delivery status transition endpoint.'
+    };
+  }
+  delete fields.deliveryStatus;
+
+  // A new service takes its names from the catalog; a new category drops the old subcategory
+  if (fields.serviceCategory !== undefined || fields.serviceSubCategory !== undefined) {
+    const categoryId = fields.serviceCategory || customer.serviceCategory;
+    const categoryChanged = String(categoryId) !== String(customer.serviceCategory);
+    const subCategoryId = fields.serviceSubCategory !== undefined
+      ? fields.serviceSubCategory
+      : (categoryChanged ? null : customer.serviceSubCategory);
+
+    const { service, errors } = await resolveService(categoryId, subCategoryId);
+    if (errors.length > 0) return { errors };
+    Object.assign(fields, service);
+  }
+
+  const before = customer.toObject({ virtuals: false });
+  customer.set(fields);
+  customer.updatedBy = user._id;
+  await runInTransaction(async (session) => {
+    await customer.save({ session });
+    await syncPrimaryOrder(customer, session);
+  });
+
+  const changes = diffDocuments(before, customer.toObject({ virtuals: false }));
+  if (changes.length > 0) {
+    await recordAudit({
+      entityType: 'Customer',
+      entityId: customer._id,
+      action: 'update',
+      changes,
+      user,
+      note: note || undefined
+    });
+  }
+
+  return { customer, changes };
+};
+
+// Move a customer to the trash with its orders. The orders get the customer's deletedAt so
+// a restore brings back the same ones.
+export const deleteCustomer = async (customer, user) => {
+  await runInTransaction(async (session) => {
+    customer.deletedAt = new Date();
+    customer.deletedBy = user ? user._id : null;
+    await customer.save({ session, validateBeforeSave: false });
+    await ServiceOrder.updateMany(
+      { customer: customer._id },
+      { $set: { deletedAt: customer.deletedAt, deletedBy: customer.deletedBy } }
+    ).session(session);
+  });
+
+  await recordAudit({
+    entityType: 'Customer',
+    entityId: customer._id,
+    action: 'delete',
+    user
+  });
+};
+
+// Bring a customer back from the trash with the orders that were trashed together with it
+export const restoreCustomer = async (customer, user) => {
+  const { deletedAt } = customer;
+  await runInTransaction(async (session) => {
+    await ServiceOrder.updateMany(
+      { customer: customer._id, deletedAt },
+      { $set: { deletedAt: null, deletedBy: null } }
+    ).session(session);
+    customer.deletedAt = null;
+    customer.deletedBy = null;
+    await customer.save({ session, validateBeforeSave: false });
+  });
+
+  await recordAudit({
+    entityType: 'Customer',
+    entityId: customer._id,
+    action: 'restore',
+    user
+  });
+};
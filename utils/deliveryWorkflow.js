@@ -0,0 +1,96 @@
+// Delivery status state machine shared by customers and service orders
+import { recordAudit } from './audit.js';
+import { syncPrimaryOrder, syncCustomerFromOrder } from './serviceMirror.js';
+import { runInTransaction } from './transaction.js';
+
+export const DELIVERY_STATUSES = ['Pending', 'In Progress', 'Completed', 'Rejected'];
+
+// Allowed moves out of each status
+export const DELIVERY_TRANSITIONS = {
+  'Pending': ['In Progress', 'Rejected'],
+  'In Progress': ['Pending', 'Completed', 'Rejected'],
+  'Completed': ['In Progress'],
+  'Rejected': ['Pending']
+};
+
+// Statuses that can only be left by an admin (reopening finished work)
+const ADMIN_ONLY_FROM = ['Completed'];
+
+// Statuses that need a reason when entered
+const REASON_REQUIRED_FOR = ['Rejected'];
+
+// Check whether a move is allowed. Returns null when it is, otherwise { statusCode, error }.
+export const checkTransition = (from, to, { user, reason } = {}) => {
+  if (!DELIVERY_STATUSES.includes(to)) {
+    return { statusCode: 400, error: `Delivery status must be one of: ${DELIVERY_STATUSES.join(', ')}` };
+  }
+  if (from === to) {
+    return { statusCode: 400, error: `Delivery status is already ${to}` };
+  }
+
+  const allowed = DELIVERY_TRANSITIONS[from] || DELIVERY_STATUSES;
+  if (!allowed.includes(to)) {
+    return {
+      statusCode: 400,
+      error: `Cannot change delivery status from ${from} to ${to}. Allowed: ${allowed.join(', ')}`
+    };
+  }
+  if (ADMIN_ONLY_FROM.includes(from) && (!user || user.role !== 'admin')) {
+    return { statusCode: 403, error: `Only an admin can reopen a ${from.toLowerCase()} job` };
+  }
+  if (REASON_REQUIRED_FOR.includes(to) && !(reason && String(reason).trim())) {
+    return { statusCode: 400, error: `A reason is required to mark a job as ${to}` };
+  }
+
+  return null;
+};
+
+// Turn a status history into the time spent in each stage
+export const getStageDurations = (history = [], now = new Date()) => {
+  const stages = history.map((entry, index) => {
+    const next = history[index + 1];
+    const leftAt = next ? next.at : null;
+    const end = leftAt || now;
+    return {
+      status: entry.to,
+      enteredAt: entry.at,
+      leftAt,
+      by: entry.by,
+      reason: entry.reason || null,
+      durationHours: Math.round((new Date(end) - new Date(entry.at)) / 36e5 * 100) / 100
+    };
+  });
+
+  const totals = {};
+  stages.forEach(stage => {
+    totals[stage.status] = Math.round(((totals[stage.status] || 0) + stage.durationHours) * 100) / 100;
+  });
+
+  return { stages, totalHoursByStatus: totals };
+};
+
+// Move a customer or order to a new delivery status, save it and record the change.
+// Returns null on success, otherwise { statusCode, error }.
+export const applyDeliveryTransition = async (doc, entityType, to, { user, reason } = {}) => {
+  const from = doc.deliveryStatus;
+  const problem = doc.transitionDelivery(to, { user, reason });
+  if (problem) return problem;
+
+  // A customer and its primary order share their delivery status
+  await runInTransaction(async (session) => {
+    await doc.save({ session });
+    if (entityType === 'Customer') await syncPrimaryOrder(doc, session);
+    else await syncCustomerFromOrder(doc, session);
+  });
+
+  await recordAudit({
+    entityType,
+    entityId: doc._id,
+    action: 'delivery_status',
+    changes: [{ field: 'deliveryStatus', from, to }],
+    user,
+    note: reason || null
+  });
+
+  return null;
+};
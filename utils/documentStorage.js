@@ -0,0 +1,63 @@
+import fs from 'fs';
+import fsPromises from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+const getLocalRoot = () => process.env.DOCUMENT_STORAGE_DIR || path.join(process.cwd(), 'uploads');
+
+// Resolve a storage key to a path, refusing keys that would escape the storage root
+const resolveLocalPath = (key) => {
+  const root = path.resolve(getLocalRoot());
+  const filePath = path.resolve(root, key);
+  if (!filePath.startsWith(root + path.sep)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return filePath;
+};
+
+// Stores files on the local filesystem, one directory per customer
+const localStorage = {
+  async save(buffer, { customerId, extension }) {
+    const key = path.posix.join(String(customerId), `${crypto.randomBytes(16).toString('hex')}${extension}`);
+    const filePath = resolveLocalPath(key);
+    await fsPromises.mkdir(path.dirname(filePath), { recursive: true });
+    await fsPromises.writeFile(filePath, buffer, { flag: 'wx' });
+    return key;
+  },
+
+  async read(key) {
+    const filePath = resolveLocalPath(key);
+    await fsPromises.access(filePath);
+    return fs.createReadStream(filePath);
+  },
+
+  async remove(key) {
+    try {
+      await fsPromises.unlink(resolveLocalPath(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+};
+
+// Each backend implements save(buffer, { customerId, extension }) -> key,
+// read(key) -> readable stream and remove(key)
+const backends = {
+  local: localStorage
+};
+
+// Register (or replace) a named storage backend, e.g. S3 or a test double
+export const registerStorage = (name, backend) => {
+  backends[name] = backend;
+};
+
+export const getStorageName = () => process.env.DOCUMENT_STORAGE || 'local';
+
+// Get a backend by name; defaults to the configured one
+export const getStorage = (name = getStorageName()) => {
+  const backend = backends[name];
+  if (!backend) {
+    throw new Error(`Unknown document storage: ${name}`);
+  }
+  return backend;
+};
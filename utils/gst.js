@@ -0,0 +1,105 @@
+// GST helpers shared by invoices and reports
+import { findState, findStateByGstCode } from './indianStates.js';
+
+export const getDefaultGstRate = () => {
+  const rate = parseFloat(process.env.GST_RATE);
+  return isNaN(rate) ? 18 : rate;
+};
+
+// State the business is registered in; supplies to other states are inter-state (IGST)
+export const getBusinessState = () => process.env.BUSINESS_STATE || 'Tamil Nadu';
+
+// Timezone the business keeps its books in; days, months and financial years follow it
+export const getBusinessTimezone = () => process.env.BUSINESS_TIMEZONE || 'Asia/Kolkata';
+
+export const roundMoney = (value) => Math.round((Number(value) + Number.EPSILON) * 100) / 100;
+
+// Compare states by their canonical name so "TN" and "Tamil Nadu" are the same state
+const normalizeState = (state) => {
+  const known = findState(state);
+  return known ? known.name : String(state || '').trim().toLowerCase();
+};
+
+// 2-digit state code, 10-character PAN, entity number, "Z", check character
+const GSTIN_PATTERN = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+const GSTIN_CHARACTERS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+// Check character of the first 14 characters of a GSTIN (base-36 Luhn variant)
+export const getGstinCheckCharacter = (gstin) => {
+  let sum = 0;
+  for (let index = 0; index < 14; index++) {
+    const product = GSTIN_CHARACTERS.indexOf(gstin[index]) * (index % 2 === 0 ? 1 : 2);
+    sum += Math.floor(product / 36) + (product % 36);
+  }
+  return GSTIN_CHARACTERS[(36 - (sum % 36)) % 36];
+};
+
+// Validate a GSTIN's format, state code and check character. Returns an error message or null.
+export const validateGstin = (value) => {
+  const gstin = String(value || '').trim().toUpperCase();
+  if (!GSTIN_PATTERN.test(gstin)) {
+    return 'GSTIN must be 15 characters: state code, PAN, entity number, Z and a check character';
+  }
+  if (!findStateByGstCode(gstin.slice(0, 2))) {
+    return `GSTIN state code ${gstin.slice(0, 2)} is not a valid Indian state code`;
+  }
+  if (getGstinCheckCharacter(gstin) !== gstin[14]) {
+    return 'GSTIN check character is incorrect; please re-check the number';
+  }
+  return null;
+};
+
+// State a GSTIN is registered in, from its first two digits
+export const getGstinState = (gstin) => findStateByGstCode(String(gstin || '').trim().slice(0, 2));
+
+// Indian financial year (April to March) of a date, e.g. 2024-25. The date is read in the
+// business timezone, so the year turns at midnight IST on 1 April whatever the server's timezone.
+export const getFinancialYear = (date = new Date()) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: getBusinessTimezone(),
+    year: 'numeric',
+    month: 'numeric'
+  }).formatToParts(date);
+  const part = (type) => Number(parts.find(item => item.type === type).value);
+  const year = part('year');
+  const startYear = part('month') >= 4 ? year : year - 1;
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+};
+
+// Intra-state supplies are split into CGST + SGST, inter-state supplies carry IGST.
+// A customer without a state is treated as local.
+export const isInterStateSupply = (customerState) => {
+  if (!customerState) return false;
+  return normalizeState(customerState) !== normalizeState(getBusinessState());
+};
+
+// Work out the tax on a taxable amount at the given rate
+export const calculateGst = (taxableAmount, gstRate, customerState) => {
+  const taxable = roundMoney(taxableAmount);
+  const interState = isInterStateSupply(customerState);
+  const totalTax = roundMoney(taxable * gstRate / 100);
+
+  let cgst = 0;
+  let sgst = 0;
+  let igst = 0;
+  if (interState) {
+    igst = totalTax;
+  } else {
+    cgst = roundMoney(totalTax / 2);
+    sgst = roundMoney(totalTax - cgst);
+  }
+
+  return {
+    supplyType: interState ? 'inter-state' : 'intra-state',
+    gstRate,
+    taxableAmount: taxable,
+    cgst,
+    sgst,
+    igst,
+    totalTax,
+    total: roundMoney(taxable + totalTax)
+  };
+};
+
+// Split a GST-inclusive amount back into its taxable value
+export const removeGst = (inclusiveAmount, gstRate) => roundMoney(inclusiveAmount * 100 / (100 + gstRate));
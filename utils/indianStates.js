@@ -0,0 +1,81 @@
+// States and union territories of India with their GST state codes (the first two digits
+// of a GSTIN) and the common short forms staff type in.
+export const INDIAN_STATES = [
+  {
+    code: '35',
+    name: 'Andaman and Nicobar Islands',
+    type: 'union_territory',
+    aliases: ['AN', 'Andaman and Nicobar']
+  },
+  { code: '37', name: 'Andhra Pradesh', type: 'state', aliases: ['AP'], legacyCodes: ['28'] },
+  { code: '12', name: 'Arunachal Pradesh', type: 'state', aliases: ['AR'] },
+  { code: '18', name: 'Assam', type: 'state', aliases: ['AS'] },
+  { code: '10', name: 'Bihar', type: 'state', aliases: ['BR'] },
+  { code: '04', name: 'Chandigarh', type: 'union_territory', aliases: ['CH'] },
+  { code: '22', name: 'Chhattisgarh', type: 'state', aliases: ['CG', 'Chattisgarh'] },
+  {
+    code: '26',
+    name: 'Dadra and Nagar Haveli and Daman and Diu',
+    type: 'union_territory',
+    aliases: ['DH', 'DN', 'DD', 'Dadra and Nagar Haveli', 'Daman and Diu', 'Dadra & Nagar Haveli and Daman & Diu'],
+    legacyCodes: ['25']
+  },
+  { code: '07', name: 'Delhi', type: 'union_territory', aliases: ['DL', 'New Delhi', 'NCT of Delhi'] },
+  { code: '30', name: 'Goa', type: 'state', aliases: ['GA'] },
+  { code: '24', name: 'Gujarat', type: 'state', aliases: ['GJ'] },
+  { code: '06', name: 'Haryana', type: 'state', aliases: ['HR'] },
+  { code: '02', name: 'Himachal Pradesh', type: 'state', aliases: ['HP'] },
+  { code: '01', name: 'Jammu and Kashmir', type: 'union_territory', aliases: ['JK', 'J&K', 'Jammu & Kashmir'] },
+  { code: '20', name: 'Jharkhand', type: 'state', aliases: ['JH'] },
+  { code: '29', name: 'Karnataka', type: 'state', aliases: ['KA'] },
+  { code: '32', name: 'Kerala', type: 'state', aliases: ['KL'] },
+  { code: '38', name: 'Ladakh', type: 'union_territory', aliases: ['LA'] },
+  { code: '31', name: 'Lakshadweep', type: 'union_territory', aliases: ['LD'] },
+  { code: '23', name: 'Madhya Pradesh', type: 'state', aliases: ['MP'] },
+  { code: '27', name: 'Maharashtra', type: 'state', aliases: ['MH'] },
+  { code: '14', name: 'Manipur', type: 'state', aliases: ['MN'] },
+  { code: '17', name: 'Meghalaya', type: 'state', aliases: ['ML'] },
+  { code: '15', name: 'Mizoram', type: 'state', aliases: ['MZ'] },
+  { code: '13', name: 'Nagaland', type: 'state', aliases: ['NL'] },
+  { code: '21', name: 'Odisha', type: 'state', aliases: ['OD', 'OR', 'Orissa'] },
+  { code: '34', name: 'Puducherry', type: 'union_territory', aliases: ['PY', 'Pondicherry'] },
+  { code: '03', name: 'Punjab', type: 'state', aliases: ['PB'] },
+  { code: '08', name: 'Rajasthan', type: 'state', aliases: ['RJ'] },
+  { code: '11', name: 'Sikkim', type: 'state', aliases: ['SK'] },
+  { code: '33', name: 'Tamil Nadu', type: 'state', aliases: ['TN', 'Tamilnadu'] },
+  { code: '36', name: 'Telangana', type: 'state', aliases: ['TG', 'TS'] },
+  { code: '16', name: 'Tripura', type: 'state', aliases: ['TR'] },
+  { code: '09', name: 'Uttar Pradesh', type: 'state', aliases: ['UP'] },
+  { code: '05', name: 'Uttarakhand', type: 'state', aliases: ['UK', 'Uttaranchal'] },
+  { code: '19', name: 'West Bengal', type: 'state', aliases: ['WB'] }
+];
+
+// Lower case, "&" read as "and", punctuation and extra spaces dropped
+const toKey = (value) => String(value || '')
+  .toLowerCase()
+  .replace(/&/g, ' and ')
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+const statesByKey = new Map();
+INDIAN_STATES.forEach(state => {
+  [state.name, ...state.aliases].forEach(name => statesByKey.set(toKey(name), state));
+});
+
+// Find a state by its name, a common alias or its GST code; null if not recognised
+export const findState = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const text = String(value).trim();
+  if (/^\d{1,2}$/.test(text)) return findStateByGstCode(text.padStart(2, '0'));
+  return statesByKey.get(toKey(text)) || null;
+};
+
+// The state a GSTIN state code belongs to, including codes retired after reorganisations
+export const findStateByGstCode = (code) => INDIAN_STATES.find(state =>
+  state.code === code || (state.legacyCodes || []).includes(code)) || null;
+
+// Canonical name of a state, or null if it is not an Indian state or union territory
+export const normalizeStateName = (value) => {
+  const state = findState(value);
+  return state ? state.name : null;
+};
@@ -0,0 +1,102 @@
+import { getBusinessState } from './gst.js';
+
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const formatMoney = (value) => Number(value || 0).toLocaleString('en-IN', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+});
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString('en-IN') : '');
+
+const getBusinessDetails = () => ({
+  name: process.env.BUSINESS_NAME || 'Ganesa E-Seva',
+  address: process.env.BUSINESS_ADDRESS || '',
+  phone: process.env.BUSINESS_PHONE || '',
+  gstin: process.env.BUSINESS_GSTIN || '',
+  state: getBusinessState()
+});
+
+// Printable HTML for an invoice or credit note
+export const renderInvoiceHtml = (invoice) => {
+  const business = getBusinessDetails();
+  const billTo = invoice.billTo || {};
+  const title = invoice.type === 'credit_note' ? 'Credit Note' : 'Tax Invoice';
+
+  const itemRows = invoice.items.map((item, index) => `
+        <tr>
+          <td>${index + 1}</td>
+          <td>${escapeHtml(item.description)}</td>
+          <td>${escapeHtml(item.sacCode)}</td>
+          <td class="amount">${formatMoney(item.amount)}</td>
+        </tr>`).join('');
+
+  const taxRows = invoice.supplyType === 'inter-state'
+    ? `
+        <tr><td colspan="3">IGST @ ${invoice.gstRate}%</td><td class="amount">${formatMoney(invoice.igst)}</td></tr>`
+    : `
+        <tr><td colspan="3">CGST @ ${invoice.gstRate / 2}%</td><td class="amount">${formatMoney(invoice.cgst)}</td></tr>
+        <tr><td colspan="3">SGST @ ${invoice.gstRate / 2}%</td><td class="amount">${formatMoney(invoice.sgst)}</td></tr>`;
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>${title} ${escapeHtml(invoice.number)}</title>
+  <style>
+    body { font-family: Arial, sans-serif; font-size: 13px; color: #222; margin: 24px; }
+    h1 { font-size: 20px; margin: 0 0 4px; }
+    table { width: 100%; border-collapse: collapse; margin-top: 16px; }
+    th, td { border: 1px solid #999; padding: 6px 8px; text-align: left; }
+    .amount { text-align: right; }
+    .header { display: flex; justify-content: space-between; }
+    .cancelled { color: #b00; font-weight: bold; }
+    @media print { body { margin: 0; } }
+  </style>
+</head>
+<body>
+  <div class="header">
+    <div>
+      <h1>${escapeHtml(business.name)}</h1>
+      <div>${escapeHtml(business.address)}</div>
+      <div>${escapeHtml(business.phone)}</div>
+      ${business.gstin ? `<div>GSTIN: ${escapeHtml(business.gstin)}</div>` : ''}
+      <div>State: ${escapeHtml(business.state)}</div>
+    </div>
+    <div>
+      <h1>${title}</h1>
+      <div>No: ${escapeHtml(invoice.number)}</div>
+      <div>Date: ${formatDate(invoice.issueDate)}</div>
+      ${invoice.status === 'cancelled' ? '<div class="cancelled">CANCELLED</div>' : ''}
+    </div>
+  </div>
+
+  <h3>Bill To</h3>
+  <div>${escapeHtml(billTo.name)}</div>
+  <div>${escapeHtml(billTo.address)}</div>
+  <div>${escapeHtml([billTo.city, billTo.state, billTo.zipCode].filter(Boolean).join(', '))}</div>
+  <div>Phone: ${escapeHtml(billTo.phone)}</div>
+  ${billTo.gstNumber ? `<div>GSTIN: ${escapeHtml(billTo.gstNumber)}</div>` : ''}
+  <div>Place of supply: ${escapeHtml(invoice.placeOfSupply || business.state)}</div>
+
+  <table>
+    <thead>
+      <tr><th>#</th><th>Description</th><th>SAC</th><th class="amount">Amount (₹)</th></tr>
+    </thead>
+    <tbody>${itemRows}
+    </tbody>
+    <tfoot>
+        <tr><td colspan="3">Taxable value</td><td class="amount">${formatMoney(invoice.taxableAmount)}</td></tr>${taxRows}
+        <tr><th colspan="3">Total</th><th class="amount">${formatMoney(invoice.total)}</th></tr>
+    </tfoot>
+  </table>
+
+  ${invoice.notes ? `<p>${escapeHtml(invoice.notes)}</p>` : ''}
+</body>
+</html>`;
+};
@@ -0,0 +1,145 @@
+import Invoice from '../models/Invoice.js';
+import Counter from '../models/Counter.js';
+import { calculateGst, getFinancialYear, roundMoney, removeGst } from './gst.js';
+import { recordAudit } from './audit.js';
+import { runInTransaction } from './transaction.js';
+
+const PREFIXES = {
+  invoice: () => process.env.INVOICE_PREFIX || 'INV',
+  credit_note: () => process.env.CREDIT_NOTE_PREFIX || 'CN'
+};
+
+// e.g. INV/2024-25/0007
+const formatNumber = (type, financialYear, sequence) =>
+  `${PREFIXES[type]()}/${financialYear}/${String(sequence).padStart(4, '0')}`;
+
+// Take the next number of the series for this document type and financial year and save
+// the document with it, in the caller's transaction. If the save fails the transaction
+// rolls back the counter too, so the series has no gaps; concurrent transactions on the
+// same counter conflict and are retried rather than sharing a number.
+const createNumbered = async (type, issueDate, data, session) => {
+  const financialYear = getFinancialYear(issueDate);
+  const sequence = await Counter.next(`${type}:${financialYear}`, session);
+
+  const [document] = await Invoice.create([{
+    ...data,
+    type,
+    issueDate,
+    financialYear,
+    sequence,
+    number: formatNumber(type, financialYear, sequence)
+  }], { session });
+  return document;
+};
+
+// Bill-to snapshot, so later edits to the customer don't change issued invoices
+const buildBillTo = (customer) => ({
+  name: customer.name,
+  phone: customer.phone,
+  email: customer.email,
+  address: customer.address,
+  city: customer.city,
+  state: customer.state,
+  zipCode: customer.zipCode,
+  gstNumber: customer.gstNumber
+});
+
+// Default line item: the service of the order (or the customer's own service) at its fees
+const buildDefaultItems = (service) => [{
+  description: service.serviceSubCategoryName
+    ? `${service.serviceCategoryName} - ${service.serviceSubCategoryName}`
+    : service.serviceCategoryName,
+  amount: service.fees || 0
+}];
+
+// Issue an invoice for a customer, for one of their service orders when `order` is given.
+// Item amounts are taxable values unless gstInclusive is set.
+export const createInvoice = async ({ customer, order = null, items, gstRate, gstInclusive = false, notes, user }) => {
+  const lineItems = (items && items.length > 0 ? items : buildDefaultItems(order || customer)).map(item => ({
+    description: item.description,
+    sacCode: item.sacCode || null,
+    amount: gstInclusive ? removeGst(item.amount, gstRate) : roundMoney(item.amount)
+  }));
+
+  const taxableAmount = lineItems.reduce((sum, item) => sum + item.amount, 0);
+  const tax = calculateGst(taxableAmount, gstRate, customer.state);
+
+  const invoice = await runInTransaction(session => createNumbered('invoice', new Date(), {
+    customer: customer._id,
+    serviceOrder: order ? order._id : null,
+    billTo: buildBillTo(customer),
+    items: lineItems,
+    placeOfSupply: customer.state || null,
+    ...tax,
+    notes,
+    createdBy: user ? user._id : null
+  }, session));
+
+  await recordAudit({
+    entityType: 'Invoice',
+    entityId: invoice._id,
+    action: 'create',
+    changes: [{ field: 'total', from: null, to: invoice.total }],
+    user,
+    note: invoice.number
+  });
+
+  return invoice;
+};
+
+// Cancel an invoice by issuing a credit note for its full value.
+// Returns null when the invoice was already cancelled.
+export const cancelInvoice = async (invoice, { reason, user }) => {
+  const result = await runInTransaction(async (session) => {
+    // Claim the invoice first so two concurrent cancellations can't both issue a credit note
+    const cancelled = await Invoice.findOneAndUpdate(
+      { _id: invoice._id, type: 'invoice', status: 'issued' },
+      {
+        $set: {
+          status: 'cancelled',
+          cancelledAt: new Date(),
+          cancelledBy: user ? user._id : null,
+          cancellationReason: reason
+        }
+      },
+      { new: true, session }
+    );
+    if (!cancelled) return null;
+
+    const creditNote = await createNumbered('credit_note', new Date(), {
+      customer: invoice.customer,
+      serviceOrder: invoice.serviceOrder,
+      billTo: invoice.billTo,
+      items: invoice.items,
+      placeOfSupply: invoice.placeOfSupply,
+      supplyType: invoice.supplyType,
+      gstRate: invoice.gstRate,
+      taxableAmount: invoice.taxableAmount,
+      cgst: invoice.cgst,
+      sgst: invoice.sgst,
+      igst: invoice.igst,
+      totalTax: invoice.totalTax,
+      total: invoice.total,
+      notes: `Cancellation of invoice ${invoice.number}: ${reason}`,
+      originalInvoice: invoice._id,
+      createdBy: user ? user._id : null
+    }, session);
+
+    cancelled.creditNote = creditNote._id;
+    await cancelled.save({ session });
+    return { invoice: cancelled, creditNote };
+  });
+  if (!result) return null;
+  const { creditNote } = result;
+
+  await recordAudit({
+    entityType: 'Invoice',
+    entityId: invoice._id,
+    action: 'cancel',
+    changes: [{ field: 'status', from: 'issued', to: 'cancelled' }],
+    user,
+    note: `${reason} (credit note ${creditNote.number})`
+  });
+
+  return result;
+};
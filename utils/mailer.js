@@ -0,0 +1,70 @@
+import fs from 'fs/promises';
+import path from 'path';
+import nodemailer from 'nodemailer';
+
+// Writes each message as a JSON file into the local outbox directory (development)
+const fileTransport = async (message) => {
+  const outboxDir = process.env.MAIL_OUTBOX_DIR || path.join(process.cwd(), 'outbox');
+  await fs.mkdir(outboxDir, { recursive: true });
+
+  const fileName = `${Date.now()}-${Math.random().toString(36).substr(2, 6)}.json`;
+  const filePath = path.join(outboxDir, fileName);
+  await fs.writeFile(filePath, JSON.stringify({ ...message, sentAt: new Date() }, null, 2));
+
+  console.log(`Email to ${message.to} written to outbox: ${filePath}`);
+  return { id: fileName };
+};
+
+// Sends the message through the SMTP server configured in the environment
+let smtpTransporter = null;
+const smtpTransport = async (message) => {
+  if (!smtpTransporter) {
+    smtpTransporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? {
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASSWORD
+      } : undefined
+    });
+  }
+
+  const info = await smtpTransporter.sendMail(message);
+  return { id: info.messageId };
+};
+
+const transports = {
+  file: fileTransport,
+  smtp: smtpTransport
+};
+
+// Register (or replace) a named transport, e.g. for an SMS gateway or a test double
+export const registerTransport = (name, transport) => {
+  transports[name] = transport;
+};
+
+const getTransportName = () => {
+  if (process.env.MAIL_TRANSPORT) return process.env.MAIL_TRANSPORT;
+  return process.env.SMTP_HOST ? 'smtp' : 'file';
+};
+
+// Send an email through the configured transport
+export const sendEmail = async ({ to, subject, text, html }) => {
+  const transportName = getTransportName();
+  const transport = transports[transportName];
+
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${transportName}`);
+  }
+
+  return transport({
+    from: process.env.MAIL_FROM || 'Ganesa E-Seva <no-reply@ganesaeseva.local>',
+    to,
+    subject,
+    text,
+    html
+  });
+};
+
+export default sendEmail;
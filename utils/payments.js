@@ -0,0 +1,53 @@
+import Payment from '../models/Payment.js';
+import Invoice from '../models/Invoice.js';
+import ServiceOrder from '../models/ServiceOrder.js';
+import { roundMoney } from './gst.js';
+
+// Work out what a customer owes across all of their service orders. An order with an
+// issued invoice is due at the invoice total, any other order at its recorded fees.
+// Invoices without an order predate order tracking and bill the primary order.
+export const getCustomerBalance = async (customer) => {
+  const [invoices, orders] = await Promise.all([
+    Invoice.find({ customer: customer._id, type: 'invoice', status: 'issued' }).select('total serviceOrder').lean(),
+    ServiceOrder.find({ customer: customer._id }).select('fees primary').lean()
+  ]);
+
+  const invoiced = new Set(invoices.map(invoice => String(invoice.serviceOrder)));
+  const isInvoiced = (order) => invoiced.has(String(order._id)) || (order.primary && invoiced.has('null'));
+  const uninvoicedOrders = orders.filter(order => !isInvoiced(order));
+
+  const invoicedTotal = invoices.reduce((sum, invoice) => sum + invoice.total, 0);
+  // Customers from before service orders have no orders; their own fees are due
+  const feesTotal = orders.length > 0
+    ? uninvoicedOrders.reduce((sum, order) => sum + (order.fees || 0), 0)
+    : (invoices.length > 0 ? 0 : customer.fees || 0);
+
+  const paymentTotals = await Payment.aggregate([
+    { $match: { customer: customer._id, voidedAt: null } },
+    { $group: { _id: '$kind', total: { $sum: '$amount' } } }
+  ]);
+
+  const received = paymentTotals.find(entry => entry._id === 'payment');
+  const refunded = paymentTotals.find(entry => entry._id === 'refund');
+
+  const amountDue = roundMoney(invoicedTotal + feesTotal);
+  const totalPaid = roundMoney((received ? received.total : 0) - (refunded ? refunded.total : 0));
+  const outstanding = roundMoney(amountDue - totalPaid);
+
+  let paymentStatus = 'Unpaid';
+  if (amountDue > 0 && outstanding <= 0) {
+    paymentStatus = 'Paid';
+  } else if (totalPaid > 0) {
+    paymentStatus = 'Partially Paid';
+  } else if (amountDue === 0) {
+    paymentStatus = 'Nothing Due';
+  }
+
+  return {
+    amountDue,
+    totalPaid,
+    outstanding,
+    paymentStatus,
+    basis: invoices.length === 0 ? 'fees' : (feesTotal > 0 ? 'invoices_and_fees' : 'invoices')
+  };
+};
@@ -0,0 +1,124 @@
+import ServiceOrder from '../models/ServiceOrder.js';
+import Notification from '../models/Notification.js';
+import { sendEmail } from './mailer.js';
+import { getBusinessTimezone } from './gst.js';
+import { startOfBusinessDay, businessDaysBetween } from './businessDate.js';
+
+const MAX_SEND_ATTEMPTS = 5;
+
+// How many days ahead of a renewal reminders go out, e.g. RENEWAL_REMINDER_DAYS=30,7,1
+export const getReminderOffsets = () => {
+  const offsets = (process.env.RENEWAL_REMINDER_DAYS || '30,7,1')
+    .split(',')
+    .map(value => parseInt(value, 10))
+    .filter(value => !isNaN(value) && value >= 0);
+  return [...new Set(offsets)].sort((a, b) => a - b);
+};
+
+// Whole days from today until the given date (negative when it is in the past). Days turn
+// at midnight in the business timezone, so "due today" means today for the business.
+export const daysUntil = (date, now = new Date()) => businessDaysBetween(now, date);
+
+// The reminder a renewal falls under today: the smallest offset that is >= days left
+const getReminderOffset = (days, offsets) => offsets.find(offset => days <= offset);
+
+const buildReminderMessage = (customer, order, days) => {
+  const renewalDate = order.nextRenewalDate.toLocaleDateString('en-IN', { timeZone: getBusinessTimezone() });
+  const service = order.serviceSubCategoryName
+    ? `${order.serviceCategoryName} - ${order.serviceSubCategoryName}`
+    : order.serviceCategoryName;
+  const when = days === 0 ? 'today' : days === 1 ? 'tomorrow' : `in ${days} days`;
+
+  return {
+    subject: `Renewal reminder: ${service}`,
+    message: `Dear ${customer.name}, your ${service}` +
+      (order.serviceNumber ? ` (${order.serviceNumber})` : '') +
+      ` is due for renewal ${when} on ${renewalDate}. Please visit Ganesa E-Seva to renew.`
+  };
+};
+
+// Queue one reminder per service order for the reminder window it is currently in, for
+// customers who are not inactive. Reminders are keyed by order, renewal date and window so
+// reruns never duplicate them.
+export const queueRenewalReminders = async (now = new Date()) => {
+  const offsets = getReminderOffsets();
+  if (offsets.length === 0) return { queued: 0 };
+
+  const maxOffset = offsets[offsets.length - 1];
+  const orders = await ServiceOrder.find({
+    nextRenewalDate: {
+      $gte: startOfBusinessDay(now),
+      $lt: startOfBusinessDay(now, maxOffset + 1)
+    }
+  }).populate('customer').lean();
+
+  let queued = 0;
+  for (const order of orders) {
+    // The populated customer is null when they are in the trash
+    const { customer } = order;
+    if (!customer || customer.status === 'Inactive') continue;
+
+    const days = daysUntil(order.nextRenewalDate, now);
+    const offset = getReminderOffset(days, offsets);
+    if (offset === undefined) continue;
+
+    const channel = customer.email ? 'email' : 'sms';
+    // Reminders for the primary order were keyed by customer before every order got its own
+    const keyId = order.primary ? customer._id : order._id;
+    const dedupeKey = `renewal:${keyId}:${startOfBusinessDay(order.nextRenewalDate).toISOString()}:${offset}`;
+    const { subject, message } = buildReminderMessage(customer, order, days);
+
+    const result = await Notification.updateOne(
+      { dedupeKey },
+      {
+        $setOnInsert: {
+          type: 'renewal_reminder',
+          channel,
+          recipient: channel === 'email' ? customer.email : customer.phone,
+          subject,
+          message,
+          customer: customer._id,
+          dedupeKey,
+          meta: { serviceOrder: order._id, nextRenewalDate: order.nextRenewalDate, daysAhead: offset }
+        }
+      },
+      { upsert: true }
+    );
+    if (result.upsertedCount > 0) queued++;
+  }
+
+  return { queued };
+};
+
+// Send queued email notifications. SMS messages stay queued until an SMS gateway picks them up.
+export const dispatchQueuedNotifications = async () => {
+  const notifications = await Notification.find({
+    status: 'queued',
+    channel: 'email',
+    attempts: { $lt: MAX_SEND_ATTEMPTS }
+  }).limit(100);
+
+  let sent = 0;
+  for (const notification of notifications) {
+    notification.attempts += 1;
+    try {
+      await sendEmail({
+        to: notification.recipient,
+        subject: notification.subject,
+        text: notification.message
+      });
+      notification.status = 'sent';
+      notification.sentAt = new Date();
+      notification.lastError = null;
+      sent++;
+    } catch (error) {
+      notification.lastError = error.message;
+      if (notification.attempts >= MAX_SEND_ATTEMPTS) {
+        notification.status = 'failed';
+      }
+    }
+    await notification.save();
+  }
+
+  return { sent };
+};
@@ -0,0 +1,62 @@
+import { roundMoney } from './gst.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Fields a subcategory carries for the service catalog
+export const CATALOG_FIELDS = [
+  'defaultGovernmentFee',
+  'defaultServiceCharge',
+  'gstApplicable',
+  'turnaroundDays',
+  'requiredDocuments'
+];
+
+const toDay = (value) => new Date(value).toISOString().slice(0, 10);
+
+// The values a new customer or order for this subcategory starts with
+export const getCatalogDefaults = (subcategory, now = new Date()) => {
+  const defaults = {};
+  if (!subcategory) return defaults;
+
+  if (subcategory.defaultFees !== null && subcategory.defaultFees !== undefined) {
+    defaults.fees = roundMoney(subcategory.defaultFees);
+  }
+  if (subcategory.turnaroundDays !== null && subcategory.turnaroundDays !== undefined) {
+    defaults.deliveryDate = new Date(now.getTime() + subcategory.turnaroundDays * DAY_MS);
+  }
+  return defaults;
+};
+
+// Fill fees and deliveryDate from the catalog where the request left them out.
+// Values the staff entered themselves are kept and listed in `overrides` as
+// [{ field, defaultValue, value }]. Returns { data, overrides }.
+export const applyCatalogDefaults = (data, subcategory, now = new Date()) => {
+  const defaults = getCatalogDefaults(subcategory, now);
+  const result = { ...data };
+  const overrides = [];
+
+  Object.keys(defaults).forEach(field => {
+    const value = data[field];
+    if (value === undefined || value === null || value === '') {
+      result[field] = defaults[field];
+      return;
+    }
+
+    // Values that don't parse are left for validation to reject
+    if (field === 'deliveryDate') {
+      const date = new Date(value);
+      if (!isNaN(date.getTime()) && toDay(date) !== toDay(defaults[field])) {
+        overrides.push({ field, defaultValue: defaults[field], value: date });
+      }
+    } else if (!isNaN(Number(value)) && Number(value) !== defaults[field]) {
+      overrides.push({ field, defaultValue: defaults[field], value: Number(value) });
+    }
+  });
+
+  return { data: result, overrides };
+};
+
+// Audit note describing which catalog defaults were overridden
+export const describeOverrides = (overrides) => (overrides.length > 0
+  ? `Catalog defaults overridden: ${overrides.map(override => override.field).join(', ')}`
+  : undefined);
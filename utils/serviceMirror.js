@@ -0,0 +1,36 @@
+import mongoose from 'mongoose';
+
+// A customer record stores the service of its primary order (the order the customer was
+// created with). Renewals, invoices, reports and exports read the service from the customer,
+// so a change to either record is copied to the other. Models are looked up when used,
+// because the delivery workflow that every model loads depends on this module.
+
+// Service fields a customer shares with its primary order
+export const MIRRORED_SERVICE_FIELDS = [
+  'serviceCategory', 'serviceCategoryName', 'serviceSubCategory', 'serviceSubCategoryName',
+  'serviceNumber', 'fees', 'gstStatus', 'deliveryDate', 'nextRenewalDate', 'deliveryStatus', 'deliveryHistory'
+];
+
+export const pickMirroredFields = (doc) => {
+  const source = doc.toObject({ virtuals: false });
+  const fields = {};
+  MIRRORED_SERVICE_FIELDS.forEach(field => {
+    fields[field] = source[field] === undefined ? null : source[field];
+  });
+  return fields;
+};
+
+// Copy a customer's service onto its primary order
+export const syncPrimaryOrder = (customer, session = null) => mongoose.model('ServiceOrder').updateOne(
+  { customer: customer._id, primary: true },
+  { $set: { ...pickMirroredFields(customer), updatedBy: customer.updatedBy } }
+).session(session);
+
+// Copy a primary order's service onto its customer. Other orders don't touch the customer.
+export const syncCustomerFromOrder = async (order, session = null) => {
+  if (!order.primary) return null;
+  return mongoose.model('Customer').updateOne(
+    { _id: order.customer },
+    { $set: { ...pickMirroredFields(order), updatedBy: order.updatedBy } }
+  ).session(session);
+};
@@ -0,0 +1,80 @@
+import mongoose from 'mongoose';
+import Category from '../models/Category.js';
+import SubCategory from '../models/SubCategory.js';
+import ServiceOrder from '../models/ServiceOrder.js';
+
+// Look up the category/subcategory of a service and return the references with their
+// catalog names. Returns { service, subcategory } on success or { errors } in the
+// { param, msg, value } shape.
+export const resolveService = async (categoryId, subCategoryId) => {
+  const errors = [];
+
+  if (!categoryId || !mongoose.Types.ObjectId.isValid(categoryId)) {
+    errors.push({ param: 'serviceCategory', msg: 'A valid service category is required', value: categoryId });
+    return { errors };
+  }
+  if (subCategoryId && !mongoose.Types.ObjectId.isValid(subCategoryId)) {
+    errors.push({ param: 'serviceSubCategory', msg: 'Invalid service subcategory ID format', value: subCategoryId });
+    return { errors };
+  }
+
+  const category = await Category.findById(categoryId);
+  if (!category) {
+    errors.push({ param: 'serviceCategory', msg: 'Service category not found', value: categoryId });
+    return { errors };
+  }
+
+  let subcategory = null;
+  if (subCategoryId) {
+    subcategory = await SubCategory.findOne({ _id: subCategoryId, category: category._id });
+    if (!subcategory) {
+      errors.push({
+        param: 'serviceSubCategory',
+        msg: 'Service subcategory not found in the selected category',
+        value: subCategoryId
+      });
+      return { errors };
+    }
+  }
+
+  return {
+    errors,
+    subcategory,
+    service: {
+      serviceCategory: category._id,
+      serviceCategoryName: category.name,
+      serviceSubCategory: subcategory ? subcategory._id : null,
+      serviceSubCategoryName: subcategory ? subcategory.name : null
+    }
+  };
+};
+
+// Build an order from the single service embedded in a customer record
+export const buildOrderFromCustomer = (customer) => ({
+  customer: customer._id,
+  serviceCategory: customer.serviceCategory,
+  serviceCategoryName: customer.serviceCategoryName,
+  serviceSubCategory: customer.serviceSubCategory || null,
+  serviceSubCategoryName: customer.serviceSubCategoryName || null,
+  serviceNumber: customer.serviceNumber,
+  fees: customer.fees || 0,
+  gstStatus: customer.gstStatus,
+  deliveryDate: customer.deliveryDate,
+  nextRenewalDate: customer.nextRenewalDate,
+  deliveryStatus: customer.deliveryStatus,
+  deliveryHistory: customer.toObject({ virtuals: false }).deliveryHistory || [],
+  catalogOverrides: customer.catalogOverrides || [],
+  createdBy: customer.createdBy,
+  updatedBy: customer.updatedBy
+});
+
+// Create the primary order of a new customer from the service it was entered with
+export const createInitialOrder = async (customer, user, session = null) => {
+  const [order] = await ServiceOrder.create([{
+    ...buildOrderFromCustomer(customer),
+    primary: true,
+    createdBy: user ? user._id : customer.createdBy,
+    updatedBy: user ? user._id : customer.updatedBy
+  }], { session });
+  return order;
+};
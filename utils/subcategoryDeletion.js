@@ -0,0 +1,59 @@
+import Customer from '../models/Customer.js';
+import ServiceOrder from '../models/ServiceOrder.js';
+import AuditLog from '../models/AuditLog.js';
+import { buildAuditEntries, recordAudit } from './audit.js';
+import { runInTransaction } from './transaction.js';
+
+// Active customers and service orders that use a subcategory
+export const getSubCategoryUsage = async (subcategory) => {
+  const [customers, orders] = await Promise.all([
+    Customer.countDocuments({ serviceSubCategory: subcategory._id }),
+    ServiceOrder.countDocuments({ serviceSubCategory: subcategory._id })
+  ]);
+
+  return {
+    subcategory: { _id: subcategory._id, name: subcategory.name },
+    customers,
+    orders,
+    inUse: customers > 0 || orders > 0
+  };
+};
+
+// Move the customers and orders of a subcategory (trashed ones too) to another subcategory of the same
+// category and trash it, in one transaction. Returns a summary of what changed.
+export const deleteSubCategory = async (subcategory, { targetSubCategory, user = null }) => {
+  const result = await runInTransaction(async (session) => {
+    const customerIds = await Customer.find({ serviceSubCategory: subcategory._id })
+      .setOptions({ withDeleted: true }).session(session).distinct('_id');
+    const update = {
+      $set: { serviceSubCategory: targetSubCategory._id, serviceSubCategoryName: targetSubCategory.name }
+    };
+    await Customer.updateMany({ _id: { $in: customerIds } }, update)
+      .setOptions({ withDeleted: true }).session(session);
+    const orders = await ServiceOrder.updateMany({ serviceSubCategory: subcategory._id }, update)
+      .setOptions({ withDeleted: true }).session(session);
+
+    await AuditLog.insertMany(buildAuditEntries('Customer', customerIds, 'update',
+      [{ field: 'serviceSubCategory', from: subcategory._id.toString(), to: targetSubCategory._id.toString() }],
+      user, `Subcategory ${subcategory.name} deleted; moved to ${targetSubCategory.name}`), { session });
+
+    subcategory.deletedAt = new Date();
+    subcategory.deletedBy = user ? user._id : null;
+    await subcategory.save({ session, validateBeforeSave: false });
+
+    return {
+      targetSubCategory: { _id: targetSubCategory._id, name: targetSubCategory.name },
+      customersMoved: customerIds.length,
+      ordersMoved: orders.modifiedCount
+    };
+  });
+
+  await recordAudit({
+    entityType: 'SubCategory',
+    entityId: subcategory._id,
+    action: 'delete',
+    user,
+    note: `Reassigned to ${targetSubCategory.name}`
+  });
+  return result;
+};
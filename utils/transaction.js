@@ -0,0 +1,22 @@
+import mongoose from 'mongoose';
+
+// Run `work(session)` in a MongoDB transaction and return its result. Every write in `work`
+// has to go through the session. Mongoose resets the documents saved in it if the driver
+// retries after a transient error. Transactions need a replica set.
+export const runInTransaction = async (work) => {
+  let result;
+  await mongoose.connection.transaction(async (session) => {
+    result = await work(session);
+  });
+  return result;
+};
+
+// Fail at startup rather than on the first write when the server can't run transactions.
+// A replica set (one member is enough) or a sharded cluster can; a standalone mongod can't.
+export const checkTransactionSupport = async () => {
+  const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+  if (!hello.setName && hello.msg !== 'isdbgrid') {
+    throw new Error('MONGODB_URI points at a standalone MongoDB server. Customer writes use transactions, ' +
+      'which need a replica set: start mongod with --replSet and run rs.initiate() once.');
+  }
+};
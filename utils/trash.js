@@ -0,0 +1,65 @@
+import Customer from '../models/Customer.js';
+import Category from '../models/Category.js';
+import SubCategory from '../models/SubCategory.js';
+import ServiceOrder from '../models/ServiceOrder.js';
+import { diffDocuments, recordAudit } from './audit.js';
+import { deleteCustomerDocuments } from './customerDocuments.js';
+
+// Number of days a record stays in the trash before it is purged automatically
+export const getRetentionDays = () => parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30;
+
+// Permanently remove a customer that is in the trash, with their orders and documents. Those
+// stay in place while the customer is only in the trash so a restore brings them back.
+export const purgeCustomer = async (customer, user = null, note = null) => {
+  await Customer.deleteOne({ _id: customer._id, deletedAt: { $ne: null } });
+  await ServiceOrder.deleteMany({ customer: customer._id });
+  await deleteCustomerDocuments(customer._id);
+
+  await recordAudit({
+    entityType: 'Customer',
+    entityId: customer._id,
+    action: 'purge',
+    changes: diffDocuments(customer.toObject({ virtuals: false }), {}),
+    user,
+    note
+  });
+};
+
+// Permanently remove a subcategory that is in the trash
+export const purgeSubCategory = async (subcategory) => {
+  await SubCategory.deleteOne({ _id: subcategory._id, deletedAt: { $ne: null } });
+};
+
+// Permanently remove a category in the trash along with its trashed subcategories
+export const purgeCategory = async (category) => {
+  await SubCategory.deleteMany({ category: category._id, deletedAt: { $ne: null } });
+  await Category.deleteOne({ _id: category._id, deletedAt: { $ne: null } });
+};
+
+// Purge everything that has been in the trash longer than the retention period. A record
+// that can't be purged yet (e.g. a subcategory active customers still use) is skipped and
+// stays in the trash; the others are still purged.
+export const purgeExpiredTrash = async () => {
+  const cutoff = new Date(Date.now() - getRetentionDays() * 24 * 60 * 60 * 1000);
+  const filter = { deletedAt: { $ne: null, $lte: cutoff } };
+  const note = `Automatically purged after ${getRetentionDays()} days in trash`;
+  const report = { customers: 0, subcategories: 0, categories: 0, skipped: [] };
+
+  const purgeEach = async (records, entityType, key, purge) => {
+    for (const record of records) {
+      try {
+        await purge(record);
+        report[key]++;
+      } catch (error) {
+        report.skipped.push({ entityType, _id: record._id, reason: error.message });
+      }
+    }
+  };
+
+  await purgeEach(await Customer.find(filter), 'Customer', 'customers',
+    customer => purgeCustomer(customer, null, note));
+  await purgeEach(await SubCategory.find(filter), 'SubCategory', 'subcategories', purgeSubCategory);
+  await purgeEach(await Category.find(filter), 'Category', 'categories', purgeCategory);
+
+  return report;
+};